@@ -0,0 +1,33 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+/**
+ * Error thrown for values that fail their type check. Alongside the message
+ * it exposes the details of the failure so callers can map errors to fields
+ * without parsing the message.
+ *
+ * @param {string} message
+ * @param {object} data `path`, `expectedType`, `actualType`, `value`,
+ * `location` and `componentName` of the failure, where known.
+ */
+class PropTypeError extends Error {
+	constructor(message, data = {}) {
+		super(message);
+		this.name = 'PropTypeError';
+		// e.g. ['user', 'tags', 2] for `user.tags[2]`
+		this.path = data.path || [];
+		this.expectedType = data.expectedType;
+		this.actualType = data.actualType;
+		this.value = data.value;
+		this.location = data.location;
+		this.componentName = data.componentName;
+	}
+}
+
+module.exports = PropTypeError;
@@ -49,6 +49,22 @@ function typeCheckFail(declaration, value, expectedMessage) {
   }).toThrow()
 }
 
+function expectFail(declaration, value, message) {
+  expect(() => {
+    PropTypes.checkPropTypes({testProp: declaration}, {testProp: value}, 'prop', 'testComponent');
+  }).toThrow(message);
+}
+
+// Failing primitives are shown as they are, objects and arrays as previews.
+function expectInvalidValue(declaration, value, expected) {
+  const shown = value !== null && typeof value === 'object' ? PropTypes.formatValue(value) : String(value);
+  expectFail(
+    declaration,
+    value,
+    'Invalid prop `testProp` of value `' + shown + '` supplied to `testComponent`, expected ' + expected + '.',
+  );
+}
+
 function typeCheckFailRequiredValues(declaration) {
   const specifiedButIsNullMsg = 'The prop `testProp` is marked as required in ' +
     '`testComponent`, but its value is `null`.';
@@ -279,6 +295,220 @@ describe('PropTypesDevelopmentStandalone', () => {
     });
   });
 
+  describe('Optional and nullable values', () => {
+    it('should only accept a missing value when optional', () => {
+      typeCheckPass(PropTypes.string.isOptional, undefined);
+      expectFail(
+        PropTypes.string.isOptional,
+        null,
+        'The prop `testProp` is marked as optional (not nullable) in `testComponent`, but its value is `null`.',
+      );
+    });
+
+    it('should only accept null when nullable', () => {
+      typeCheckPass(PropTypes.string.isNullable, null);
+      typeCheckPass(PropTypes.string.isNullable, 'a');
+      expectFail(
+        PropTypes.string.isNullable,
+        undefined,
+        'The prop `testProp` is marked as required (nullable) in `testComponent`, but its value is `undefined`.',
+      );
+      expectFail(
+        PropTypes.string.isNullable,
+        1,
+        'Invalid prop `testProp` of type `number` supplied to `testComponent`, expected `string`.',
+      );
+    });
+
+    it('should combine both', () => {
+      const checkers = [PropTypes.string.isOptional.isNullable, PropTypes.string.isNullable.isOptional];
+      expect(checkers[0]).toBe(checkers[1]);
+      typeCheckPass(checkers[0], null);
+      typeCheckPass(checkers[0], undefined);
+      expect(checkers[0].describe()).toEqual({kind: 'string', optional: true, nullable: true, constraints: []});
+    });
+
+    it('should keep defaults for optional nullable values', () => {
+      const checker = PropTypes.number.isOptional.isNullable.default(1);
+      typeCheckPass(checker, null);
+      expect(checker.describe().default).toBe(1);
+    });
+  });
+
+  describe('Number refinements', () => {
+    it('should warn for non integers', () => {
+      expectInvalidValue(PropTypes.integer, 1.5, 'an integer');
+      expectInvalidValue(PropTypes.integer, NaN, 'an integer');
+      typeCheckPass(PropTypes.integer, -3);
+    });
+
+    it('should warn for non finite numbers', () => {
+      expectInvalidValue(PropTypes.finite, Infinity, 'a finite number');
+      expectInvalidValue(PropTypes.finite, NaN, 'a finite number');
+      typeCheckPass(PropTypes.finite, 1.5);
+    });
+
+    it('should warn for unsafe integers', () => {
+      expectInvalidValue(PropTypes.safeInteger, Math.pow(2, 53), 'a safe integer');
+      typeCheckPass(PropTypes.safeInteger, Number.MAX_SAFE_INTEGER);
+    });
+
+    it('should chain range constraints', () => {
+      const port = PropTypes.integer.min(1).max(65535);
+      expectInvalidValue(port, 0, 'a number greater than or equal to `1`');
+      expectInvalidValue(port, 70000, 'a number less than or equal to `65535`');
+      expectInvalidValue(port, 80.5, 'an integer');
+      typeCheckPass(port, 8080);
+    });
+
+    it('should chain refinements after .isOptional and .isNullable', () => {
+      const level = PropTypes.number.isOptional.min(0);
+      typeCheckPass(level, undefined);
+      expectInvalidValue(level, -1, 'a number greater than or equal to `0`');
+      expectFail(level, null, 'is marked as optional (not nullable)');
+      expect(level.describe().optional).toBe(true);
+
+      const count = PropTypes.integer.isNullable.max(5).isOptional;
+      typeCheckPass(count, null);
+      typeCheckPass(count, undefined);
+      expectInvalidValue(count, 6, 'a number less than or equal to `5`');
+
+      expectInvalidValue(PropTypes.string.isNullable.nonEmpty(), '', 'a non-empty string');
+      typeCheckPass(PropTypes.string.isNullable.nonEmpty(), null);
+
+      const tags = PropTypes.arrayOf(PropTypes.string).isOptional.isNullable.nonEmpty();
+      typeCheckPass(tags, null);
+      typeCheckPass(tags, undefined);
+      expectInvalidValue(tags, [], 'a non-empty array (`nonEmpty`)');
+    });
+
+    it('should still check the type first', () => {
+      expect(() => {
+        PropTypes.checkPropTypes({testProp: PropTypes.number.min(0)}, {testProp: '1'}, 'prop', 'testComponent');
+      }).toThrow(
+        'Invalid prop `testProp` of type `string` supplied to `testComponent`, expected `number`.',
+      );
+    });
+
+    it('should keep isOptional', () => {
+      const checker = PropTypes.number.min(0).isOptional;
+      typeCheckPass(checker, undefined);
+      expectInvalidValue(checker, -1, 'a number greater than or equal to `0`');
+    });
+  });
+
+  describe('String refinements', () => {
+    it('should check patterns', () => {
+      expectInvalidValue(PropTypes.string.matches(/^[a-z]+$/), 'A1', 'a string matching `/^[a-z]+$/`');
+      typeCheckPass(PropTypes.string.matches(/^[a-z]+$/g), 'abc');
+      typeCheckPass(PropTypes.string.matches(/^[a-z]+$/g), 'abc');
+    });
+
+    it('should check lengths', () => {
+      const name = PropTypes.string.minLength(2).maxLength(4);
+      expectInvalidValue(name, 'a', 'a string of at least `2` characters');
+      expectInvalidValue(name, 'abcde', 'a string of at most `4` characters');
+      expectInvalidValue(PropTypes.string.nonEmpty(), '', 'a non-empty string');
+      typeCheckPass(name, 'abc');
+    });
+
+    it('should check formats', () => {
+      const format = name => PropTypes.string.format(name);
+
+      typeCheckPass(format('email'), 'jane@example.com');
+      expectInvalidValue(format('email'), 'jane@', 'a string matching format `email`');
+      typeCheckPass(format('uuid'), '123e4567-e89b-12d3-a456-426614174000');
+      expectInvalidValue(format('uuid'), '123e4567', 'a string matching format `uuid`');
+      typeCheckPass(format('date'), '2018-02-28');
+      expectInvalidValue(format('date'), '2018-02-30x', 'a string matching format `date`');
+      expectInvalidValue(format('date'), '2023-02-30', 'a string matching format `date`');
+      expectInvalidValue(format('date'), '2023-04-31', 'a string matching format `date`');
+      typeCheckPass(format('date'), '2024-02-29');
+      expectInvalidValue(format('date-time'), '2023-02-29T10:00:00Z', 'a string matching format `date-time`');
+      typeCheckPass(format('date-time'), '2023-12-31T23:30:00-05:00');
+      typeCheckPass(format('date-time'), '2018-02-28T10:00:00.000Z');
+      expectInvalidValue(format('date-time'), '2018-02-28', 'a string matching format `date-time`');
+      typeCheckPass(format('url'), 'https://example.com/a?b=c');
+      expectInvalidValue(format('url'), 'example', 'a string matching format `url`');
+      typeCheckPass(format('hex-color'), '#a0c');
+      expectInvalidValue(format('hex-color'), '#a0cx', 'a string matching format `hex-color`');
+    });
+
+    it('should warn but not error for unknown formats', () => {
+      spyOn(console, 'error');
+      const checker = PropTypes.string.format('phone');
+      expect(console.error.calls.argsFor(0)[0]).toContain(
+        'Invalid argument supplied to format, expected one of',
+      );
+      PropTypes.checkPropTypes({testProp: checker}, {testProp: 'anything'});
+    });
+
+    it('should plug into other checkers', () => {
+      expect(() => {
+        PropTypes.checkPropTypes(
+          {testProp: PropTypes.arrayOf(PropTypes.string.nonEmpty())},
+          {testProp: ['a', '']},
+          'prop',
+          'testComponent',
+        );
+      }).toThrow(
+        'Invalid prop `testProp[1]` of value `` supplied to `testComponent`, expected a non-empty string.',
+      );
+    });
+  });
+
+  describe('Array constraints', () => {
+    it('should check lengths', () => {
+      const tags = PropTypes.arrayOf(PropTypes.string).minItems(2).maxItems(3);
+      expectInvalidValue(tags, ['a'], 'an array of at least `2` items (`minItems`)');
+      expectInvalidValue(tags, ['a', 'b', 'c', 'd'], 'an array of at most `3` items (`maxItems`)');
+      expectInvalidValue(PropTypes.arrayOf(PropTypes.string).nonEmpty(), [], 'a non-empty array (`nonEmpty`)');
+      typeCheckPass(tags, ['a', 'b']);
+    });
+
+    it('should report the indices of duplicates', () => {
+      const tags = PropTypes.arrayOf(PropTypes.string).unique();
+      typeCheckPass(tags, ['a', 'b']);
+      expectInvalidValue(tags, ['a', 'b', 'a', 'c', 'b', 'a'],
+        'an array of unique items (`unique`), but items `0`, `2` and `5`; items `1` and `4` are the same');
+    });
+
+    it('should compare items by key', () => {
+      const users = PropTypes.arrayOf(PropTypes.shape({id: PropTypes.number})).unique(user => user.id);
+      typeCheckPass(users, [{id: 1}, {id: 2}]);
+      expectInvalidValue(users, [{id: 1}, {id: 1}], 'an array of unique items (`unique`), but items `0` and `1` have the same key');
+    });
+
+    it('should check items before constraints', () => {
+      expect(() => {
+        PropTypes.checkPropTypes(
+          {testProp: PropTypes.arrayOf(PropTypes.number).minItems(2)},
+          {testProp: ['1']},
+          'prop',
+          'testComponent',
+        );
+      }).toThrow(
+        'Invalid prop `testProp[0]` of type `string` supplied to `testComponent`, expected `number`.',
+      );
+    });
+
+    it('should compose with optional and nullable', () => {
+      const tags = PropTypes.arrayOf(PropTypes.string).nonEmpty().isOptional;
+      typeCheckPass(tags, undefined);
+      expectInvalidValue(tags, [], 'a non-empty array (`nonEmpty`)');
+      expect(tags.describe().constraints).toEqual([{name: 'nonEmpty', args: []}]);
+    });
+
+    it('should warn but not error for invalid key functions', () => {
+      spyOn(console, 'error');
+      const checker = PropTypes.arrayOf(PropTypes.number).unique('id');
+      expect(console.error.calls.argsFor(0)[0]).toBe(
+        'Warning: Invalid argument supplied to unique, expected a function returning the key of an item.',
+      );
+      typeCheckPass(checker, [1, 1]);
+    });
+  });
+
   describe('Any type', () => {
     it('should should accept any value', () => {
       typeCheckPass(PropTypes.any, 0);
@@ -665,25 +895,53 @@ describe('PropTypesDevelopmentStandalone', () => {
         PropTypes.oneOf(['red', 'blue']),
         true,
         'Invalid prop `testProp` of value `true` supplied to ' +
-          '`testComponent`, expected one of ["red","blue"].',
+          '`testComponent`, expected one of ["red", "blue"].',
       );
       typeCheckFail(
         PropTypes.oneOf(['red', 'blue']),
         [],
         'Invalid prop `testProp` of value `` supplied to `testComponent`, ' +
-          'expected one of ["red","blue"].',
+          'expected one of ["red", "blue"].',
       );
       typeCheckFail(
         PropTypes.oneOf(['red', 'blue']),
         '',
         'Invalid prop `testProp` of value `` supplied to `testComponent`, ' +
-          'expected one of ["red","blue"].',
+          'expected one of ["red", "blue"].',
       );
       typeCheckFail(
         PropTypes.oneOf([0, 'false']),
         false,
         'Invalid prop `testProp` of value `false` supplied to ' +
-          '`testComponent`, expected one of [0,"false"].',
+          '`testComponent`, expected one of [0, "false"].',
+      );
+    });
+
+    it('should format invalid values safely', () => {
+      const check = value => () => {
+        PropTypes.checkPropTypes({testProp: PropTypes.oneOf(['red', 'blue'])}, {testProp: value}, 'prop', 'testComponent');
+      };
+      expect(check([])).toThrow('Invalid prop `testProp` of value `[]` supplied to `testComponent`, expected one of ["red", "blue"].');
+      expect(check(Symbol('red'))).toThrow('of value `Symbol(red)`');
+      expect(check(BigInt(1))).toThrow('of value `1n`');
+      expect(check('x'.repeat(100))).toThrow('of value `' + 'x'.repeat(40) + '…`');
+
+      const cyclic = {name: 'red'};
+      cyclic.self = cyclic;
+      expect(check(cyclic)).toThrow('of value `{ name: "red", self: [Circular] }`');
+    });
+
+    it('should show the expected values in full', () => {
+      const long = 'a'.repeat(60);
+      expectFail(
+        PropTypes.oneOf([long, 1, 2, 3, 4, 5, 6]),
+        'b',
+        'expected one of ["' + long + '", 1, 2, 3, 4, 5, 6].',
+      );
+      expectFail(
+        PropTypes.oneOf([{a: {b: {c: 1}}}]),
+        'b',
+        'expected one of [{ a: { b: { c: 1 } } }].',
       );
     });
 
@@ -776,6 +1034,49 @@ describe('PropTypesDevelopmentStandalone', () => {
       typeCheckPass(checker, {b: 1});
     });
 
+    it('should report why each type failed, closest first', () => {
+      const checker = PropTypes.oneOfType([
+        PropTypes.arrayOf(PropTypes.string),
+        PropTypes.shape({a: PropTypes.number, b: PropTypes.string}),
+      ]);
+
+      expect(() => {
+        PropTypes.checkPropTypes({testProp: checker}, {testProp: {a: 1, b: 2}}, 'prop', 'testComponent');
+      }).toThrow(
+        'Invalid prop `testProp` supplied to `testComponent`. No type in oneOfType matched:' +
+        '\n  - closest, branch 1: Invalid prop `testProp.b` of type `number` supplied to ' +
+        '`testComponent`, expected `string`.' +
+        '\n  - branch 0: Invalid prop `testProp` of type `object` supplied to ' +
+        '`testComponent`, expected an array.'
+      );
+    });
+
+    it('should rank the branch that failed deepest closest', () => {
+      const checker = PropTypes.oneOfType([
+        PropTypes.shape({a: PropTypes.string}),
+        PropTypes.shape({a: PropTypes.shape({b: PropTypes.string})}),
+      ]);
+
+      expect(() => {
+        PropTypes.checkPropTypes({testProp: checker}, {testProp: {a: {b: 1}}}, 'prop', 'testComponent');
+      }).toThrow(
+        '\n  - closest, branch 1: Invalid prop `testProp.a.b` of type `number` supplied to ' +
+        '`testComponent`, expected `string`.' +
+        '\n  - branch 0: Invalid prop `testProp.a` of type `object` supplied to ' +
+        '`testComponent`, expected `string`.'
+      );
+    });
+
+    it('should run each branch once', () => {
+      const predicate = jest.fn(() => false);
+      const checker = PropTypes.oneOfType([
+        PropTypes.arrayOf(PropTypes.createChecker('even', predicate)),
+        PropTypes.string,
+      ]);
+      typeCheckFail(checker, [1, 2], 'No type in oneOfType matched');
+      expect(predicate).toHaveBeenCalledTimes(1);
+    });
+
     it('should be implicitly optional and not warn without values', () => {
       typeCheckPass(
         PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
@@ -810,6 +1111,115 @@ describe('PropTypesDevelopmentStandalone', () => {
     });
   });
 
+  describe('Discriminated Union Types', () => {
+    const Event = () => PropTypes.discriminatedUnion('type', {
+      click: PropTypes.shape({type: PropTypes.string, x: PropTypes.number}),
+      key: PropTypes.shape({type: PropTypes.string, code: PropTypes.string}),
+    });
+
+    function check(value) {
+      PropTypes.checkPropTypes({testProp: Event()}, {testProp: value}, 'prop', 'testComponent');
+    }
+
+    it('should warn but not error for invalid argument', () => {
+      spyOn(console, 'error');
+
+      PropTypes.discriminatedUnion('type', [PropTypes.string]);
+      expect(console.error.calls.argsFor(0)[0]).toContain(
+        'Invalid argument supplied to discriminatedUnion, expected an object of check functions keyed by tag.',
+      );
+
+      PropTypes.discriminatedUnion('type', {click: null});
+      expect(console.error.calls.argsFor(1)[0]).toContain(
+        'Expected an object of check functions, but received null for tag `click`.',
+      );
+
+      PropTypes.discriminatedUnion('type', {key: PropTypes.exact({code: PropTypes.string})});
+      expect(console.error.calls.argsFor(2)[0]).toBe(
+        'Warning: Invalid argument supplied to discriminatedUnion. The `exact` type for tag `key` must declare the `type` key.',
+      );
+    });
+
+    it('should dispatch on the tag', () => {
+      check({type: 'click', x: 1});
+      check({type: 'key', code: 'Enter'});
+    });
+
+    it('should report the error of the selected type', () => {
+      expect(() => check({type: 'key', x: 1})).toThrow(
+        'The prop `testProp.code` is marked as required in `testComponent`, but its value is `undefined`.',
+      );
+    });
+
+    it('should warn for unknown tags', () => {
+      expect(() => check({type: 'scroll'})).toThrow(
+        'Invalid prop `testProp.type` of value `scroll` supplied to `testComponent`, ' +
+          'expected one of ["click", "key"].',
+      );
+    });
+
+    it('should warn for non objects', () => {
+      expect(() => check('click')).toThrow(
+        'Invalid prop `testProp` of type `string` supplied to `testComponent`, expected `object`.',
+      );
+    });
+  });
+
+  describe('Custom Types', () => {
+    let even;
+    beforeEach(() => {
+      even = PropTypes.createChecker('even', value => value % 2 === 0, 'an even number');
+    });
+
+    it('should warn but not error for invalid argument', () => {
+      spyOn(console, 'error');
+      PropTypes.createChecker('even');
+      expect(console.error.calls.argsFor(0)[0]).toContain(
+        'Invalid argument supplied to createChecker, expected a predicate function.',
+      );
+    });
+
+    it('should use the predicate', () => {
+      typeCheckPass(even, 2);
+      expect(() => {
+        PropTypes.checkPropTypes({testProp: even}, {testProp: 3}, 'prop', 'testComponent');
+      }).toThrow(
+        'Invalid prop `testProp` of type `number` supplied to `testComponent`, expected an even number.',
+      );
+    });
+
+    it('should describe the expected type by name by default', () => {
+      const checker = PropTypes.createChecker('even', value => value % 2 === 0);
+      expect(() => {
+        PropTypes.checkPropTypes({testProp: checker}, {testProp: 3}, 'prop', 'testComponent');
+      }).toThrow('expected `even`.');
+    });
+
+    it('should accept a function describing the expected type', () => {
+      const checker = PropTypes.createChecker('even', value => value % 2 === 0, value => 'an even number, not ' + value);
+      expect(() => {
+        PropTypes.checkPropTypes({testProp: checker}, {testProp: 3}, 'prop', 'testComponent');
+      }).toThrow('expected an even number, not 3.');
+    });
+
+    it('should behave like built-in checkers', () => {
+      expect(() => {
+        PropTypes.checkPropTypes({testProp: even}, {}, 'prop', 'testComponent');
+      }).toThrow(
+        'The prop `testProp` is marked as required in `testComponent`, but its value is `undefined`.',
+      );
+      typeCheckPass(even.isOptional, undefined);
+      expect(() => {
+        PropTypes.checkPropTypes(
+          {testProp: PropTypes.shape({count: even})},
+          {testProp: {count: 1}},
+          'prop',
+          'testComponent',
+        );
+      }).toThrow('Invalid prop `testProp.count` of type `number`');
+    });
+  });
+
   describe('Shape Types', () => {
     it('should warn for non objects', () => {
       typeCheckFail(
@@ -908,6 +1318,161 @@ describe('PropTypesDevelopmentStandalone', () => {
     });
   });
 
+  describe('Exact Types', () => {
+    it('should not warn for valid objects', () => {
+      typeCheckPass(PropTypes.exact({key: PropTypes.number}), {key: 1});
+    });
+
+    it('should warn for an unknown key', () => {
+      expectFail(
+        PropTypes.exact({key: PropTypes.number}),
+        {key: 1, other: 2},
+        'Invalid prop `testProp` key `other` supplied to `testComponent`.' +
+          '\nBad object: { key: 1, other: 2 }' +
+          '\nValid keys: `key`',
+      );
+    });
+
+    it('should report every unknown key with suggestions', () => {
+      expectFail(
+        PropTypes.exact({host: PropTypes.string, port: PropTypes.number}),
+        {hots: 'a', prot: 1, extra: true},
+        'Invalid prop `testProp` keys `hots` (did you mean `host`?), `prot` (did you mean `port`?), ' +
+          '`extra` supplied to `testComponent`.' +
+          '\nBad object: { hots: "a", prot: 1, extra: true }' +
+          '\nValid keys: `host`, `port`',
+      );
+    });
+
+    it('should not suggest keys for unrelated short keys', () => {
+      expectFail(
+        PropTypes.exact({a: PropTypes.number, id: PropTypes.number}),
+        {b: 1, c: 2, A: 3, di: 4},
+        'Invalid prop `testProp` keys `b`, `c`, `A` (did you mean `a`?), `di` (did you mean `id`?) supplied to `testComponent`.',
+      );
+    });
+
+    it('should reject keys named after Object.prototype members', () => {
+      expectFail(
+        PropTypes.exact({a: PropTypes.number}),
+        {a: 1, toString: 'x', constructor: 1},
+        'Invalid prop `testProp` keys `toString`, `constructor` supplied to `testComponent`.',
+      );
+    });
+
+    it('should redact sensitive values in previews', () => {
+      const RedactingPropTypes = require('../factoryWithTypeCheckers')({
+        redact: key => key === 'password',
+      });
+      expect(() => {
+        RedactingPropTypes.checkPropTypes(
+          {testProp: RedactingPropTypes.exact({user: RedactingPropTypes.string})},
+          {testProp: {user: 'jane', password: 'hunter2'}},
+          'prop',
+          'testComponent',
+        );
+      }).toThrow('Bad object: { user: "jane", password: [redacted] }');
+    });
+
+    it('should redact the value that failed', () => {
+      const RedactingPropTypes = require('../factoryWithTypeCheckers')({
+        redact: (key, value, path) => key === 'password' || path.join('.') === 'creds.pin',
+      });
+      const spec = {
+        creds: RedactingPropTypes.shape({
+          password: RedactingPropTypes.string.minLength(12),
+          pin: RedactingPropTypes.oneOf(['0000']).isOptional,
+        }),
+      };
+      expect(() => {
+        RedactingPropTypes.checkPropTypes(spec, {creds: {password: 'hunter2'}});
+      }).toThrow(
+        'Invalid param `creds.password` of value `[redacted]` supplied to `function`, expected a string of at least `12` characters.',
+      );
+      expect(() => {
+        RedactingPropTypes.checkPropTypes(spec, {creds: {password: 'correct horse battery', pin: '1234'}});
+      }).toThrow('Invalid param `creds.pin` of value `[redacted]` supplied to `function`');
+    });
+
+    it('should report unknown keys at their own paths when collecting', () => {
+      const errors = PropTypes.validateAll(
+        {options: PropTypes.exact({host: PropTypes.string})},
+        {options: {hots: 'a', extra: 1, host: 'b'}},
+      );
+      expect(errors.map(error => error.path)).toEqual([['options', 'hots'], ['options', 'extra']]);
+      expect(errors[0].message).toContain('key `hots` (did you mean `host`?)');
+    });
+
+    it('should preview bad objects safely', () => {
+      const value = {
+        text: 'a'.repeat(100),
+        nested: {deep: {deeper: true}},
+        list: [1, 2],
+        fn: function callback() {},
+        symbol: Symbol('s'),
+        other: 1,
+      };
+      value.self = value;
+      expectFail(
+        PropTypes.exact({}),
+        value,
+        'Invalid prop `testProp` keys `text`, `nested`, `list`, `fn`, `symbol`, `other`, `self` supplied to `testComponent`.' +
+          '\nBad object: { text: "' + 'a'.repeat(40) + '…", nested: { deep: {…} }, list: [1, 2], fn: [Function callback], ' +
+          'symbol: Symbol(s), … 2 more }' +
+          '\nValid keys: none',
+      );
+    });
+  });
+
+  describe('Descriptors', () => {
+    it('should describe primitives', () => {
+      expect(PropTypes.string.describe()).toEqual({kind: 'string', optional: false, nullable: false, constraints: []});
+      expect(PropTypes.bool.isOptional.describe()).toEqual({kind: 'boolean', optional: true, nullable: false});
+      expect(PropTypes.bool.isNullable.describe()).toEqual({kind: 'boolean', optional: false, nullable: true});
+      expect(PropTypes.integer.min(1).describe().constraints).toEqual([
+        {name: 'integer', args: []},
+        {name: 'min', args: [1]},
+      ]);
+    });
+
+    it('should describe checker arguments', () => {
+      function Thing() {}
+
+      expect(PropTypes.arrayOf(PropTypes.string).describe().type).toBe(PropTypes.string);
+      expect(PropTypes.objectOf(PropTypes.bool).describe().kind).toBe('objectOf');
+      expect(PropTypes.instanceOf(Thing).describe().expectedClass).toBe(Thing);
+      expect(PropTypes.oneOf(['a', 'b']).describe().values).toEqual(['a', 'b']);
+      expect(PropTypes.oneOfType([PropTypes.bool]).describe().types).toEqual([PropTypes.bool]);
+      expect(PropTypes.createChecker('even', () => true).describe()).toEqual({kind: 'custom', name: 'even', optional: false, nullable: false});
+    });
+
+    it('should allow walking a spec tree', () => {
+      const spec = PropTypes.shape({
+        id: PropTypes.number,
+        tags: PropTypes.arrayOf(PropTypes.string).isOptional,
+      });
+      const descriptor = spec.describe();
+
+      expect(descriptor.kind).toBe('shape');
+      expect(descriptor.optional).toBe(false);
+      expect(Object.keys(descriptor.fields)).toEqual(['id', 'tags']);
+      expect(descriptor.fields.tags.describe().optional).toBe(true);
+      expect(descriptor.fields.tags.describe().type.describe().kind).toBe('string');
+    });
+
+    it('should be read-only', () => {
+      const values = [{a: 1}];
+      const descriptor = PropTypes.exact({id: PropTypes.number}).describe();
+
+      expect(Object.isFrozen(descriptor)).toBe(true);
+      expect(Object.isFrozen(descriptor.fields)).toBe(true);
+      expect(Object.isFrozen(PropTypes.number.min(1).describe().constraints[0])).toBe(true);
+      expect(Object.isFrozen(PropTypes.oneOf(values).describe().values)).toBe(true);
+      expect(Object.isFrozen(values)).toBe(false);
+      expect(Object.isFrozen(values[0])).toBe(false);
+    });
+  });
+
   describe('Symbol Type', () => {
     it('should warn for non-symbol', () => {
       typeCheckFail(
@@ -0,0 +1,61 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const PropTypes = require('../index');
+
+function catchError(fn) {
+  try {
+    fn();
+  } catch (e) {
+    return e;
+  }
+  throw new Error('Expected function to throw.');
+}
+
+describe('PropTypeError', () => {
+  it('is thrown for failed checks', () => {
+    const error = catchError(() =>
+      PropTypes.checkPropTypes({name: PropTypes.string}, {name: 1}),
+    );
+
+    expect(error instanceof PropTypes.PropTypeError).toBe(true);
+    expect(error instanceof Error).toBe(true);
+    expect(error.name).toBe('PropTypeError');
+    expect(error.message).toBe(
+      'Invalid param `name` of type `number` supplied to `function`, expected `string`.',
+    );
+  });
+
+  it('carries the details of the failure', () => {
+    const spec = {
+      user: PropTypes.shape({tags: PropTypes.arrayOf(PropTypes.string)}),
+    };
+    const error = catchError(() =>
+      PropTypes.checkPropTypes(spec, {user: {tags: ['a', 'b', 3]}}, 'prop', 'Profile'),
+    );
+
+    expect(error.path).toEqual(['user', 'tags', 2]);
+    expect(error.expectedType).toBe('string');
+    expect(error.actualType).toBe('number');
+    expect(error.value).toBe(3);
+    expect(error.location).toBe('prop');
+    expect(error.componentName).toBe('Profile');
+  });
+
+  it('reports missing required values', () => {
+    const error = catchError(() =>
+      PropTypes.checkValueType(undefined, PropTypes.number),
+    );
+
+    expect(error.path).toEqual(['value']);
+    expect(error.actualType).toBe('undefined');
+    expect(error.location).toBe('param');
+    expect(error.componentName).toBe('function');
+  });
+});
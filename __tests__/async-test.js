@@ -0,0 +1,198 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const PropTypes = require('../index');
+
+describe('async checkers', () => {
+  const users = ['jane', 'joe'];
+  const userExists = id => new Promise(resolve => setTimeout(() => resolve(users.indexOf(id) !== -1), 0));
+  const UserId = PropTypes.asyncRefine(PropTypes.string.nonEmpty(), userExists, 'an existing user id');
+  const StoreDown = PropTypes.asyncRefine(PropTypes.string, () => Promise.reject(new Error('store unavailable')));
+
+  // Resolves to the reasons of the Promise rejections left unhandled by `run`.
+  function getUnhandledRejections(run) {
+    const reasons = [];
+    const onRejection = reason => reasons.push(reason);
+    process.on('unhandledRejection', onRejection);
+    return Promise.resolve()
+      .then(run)
+      .then(() => new Promise(resolve => setTimeout(resolve, 10)))
+      .then(() => {
+        process.removeListener('unhandledRejection', onRejection);
+        return reasons;
+      });
+  }
+
+  it('resolves to true for valid values', () => {
+    return PropTypes.checkPropTypesAsync({owner: UserId, port: PropTypes.number}, {owner: 'jane', port: 80})
+      .then(isValid => expect(isValid).toBe(true));
+  });
+
+  it('rejects with the failure of the async predicate', () => {
+    return PropTypes.checkPropTypesAsync({owner: UserId}, {owner: 'bob'}).then(
+      () => {
+        throw new Error('expected a failure');
+      },
+      error => {
+        expect(error).toBeInstanceOf(PropTypes.PropTypeError);
+        expect(error.message).toBe(
+          'Invalid param `owner` of value `bob` supplied to `function`, expected an existing user id.',
+        );
+        expect(error.path).toEqual(['owner']);
+      },
+    );
+  });
+
+  it('checks the refined checker first', () => {
+    expect.assertions(2);
+    const predicate = jest.fn(() => true);
+    const checker = PropTypes.asyncRefine(PropTypes.string, predicate);
+    return PropTypes.checkPropTypesAsync({owner: checker}, {owner: 1}).catch(error => {
+      expect(error.message).toBe('Invalid param `owner` of type `number` supplied to `function`, expected `string`.');
+      expect(predicate).not.toHaveBeenCalled();
+    });
+  });
+
+  it('reports sync failures in the order of the specs', () => {
+    expect.assertions(1);
+    return PropTypes.checkPropTypesAsync({owner: UserId, port: PropTypes.number}, {owner: 'bob', port: '80'})
+      .catch(error => expect(error.message).toContain('`owner`'));
+  });
+
+  it('awaits async checkers nested in other checkers', () => {
+    const spec = {
+      issue: PropTypes.shape({
+        assignees: PropTypes.arrayOf(UserId),
+        reviewer: PropTypes.oneOfType([PropTypes.oneOf([null]).isNullable, UserId]).isOptional,
+      }),
+    };
+    return Promise.all([
+      PropTypes.checkPropTypesAsync(spec, {issue: {assignees: ['jane', 'joe'], reviewer: 'joe'}}),
+      PropTypes.checkPropTypesAsync(spec, {issue: {assignees: ['jane', 'bob']}}).catch(error => error),
+    ]).then(([isValid, error]) => {
+      expect(isValid).toBe(true);
+      expect(error.message).toBe(
+        'Invalid param `issue.assignees[1]` of value `bob` supplied to `function`, expected an existing user id.',
+      );
+      expect(error.path).toEqual(['issue', 'assignees', 1]);
+    });
+  });
+
+  it('checks array constraints once async items settle', () => {
+    return PropTypes.checkPropTypesAsync({assignees: PropTypes.arrayOf(UserId).unique()}, {assignees: ['jane', 'jane']})
+      .catch(error => error)
+      .then(error => {
+        expect(error.message).toBe(
+          'Invalid param `assignees` of value `["jane", "jane"]` supplied to `function`, ' +
+            'expected an array of unique items (`unique`), but items `0` and `1` are the same.',
+        );
+      });
+  });
+
+  it('explains async union failures', () => {
+    expect.assertions(1);
+    const spec = {owner: PropTypes.oneOfType([PropTypes.number, UserId])};
+    return PropTypes.checkPropTypesAsync(spec, {owner: 'bob'}).catch(error => {
+      expect(error.message).toBe(
+        'Invalid param `owner` supplied to `function`. No type in oneOfType matched:' +
+          '\n  - closest, branch 0: Invalid param `owner` of type `string` supplied to `function`, expected `number`.' +
+          '\n  - branch 1: Invalid param `owner` of value `bob` supplied to `function`, expected an existing user id.',
+      );
+    });
+  });
+
+  it('calls the predicates of a failing union once', () => {
+    const predicate = jest.fn(() => Promise.resolve(false));
+    const spec = {owner: PropTypes.oneOfType([PropTypes.number, PropTypes.asyncRefine(PropTypes.string, predicate)])};
+    return PropTypes.checkPropTypesAsync(spec, {owner: 'bob'}).catch(error => error).then(error => {
+      expect(error.message).toContain('No type in oneOfType matched');
+      expect(predicate).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('rejects when a predicate fails', () => {
+    expect.assertions(1);
+    const checker = PropTypes.asyncRefine(PropTypes.string, () => Promise.reject(new Error('store unavailable')));
+    return PropTypes.checkPropTypesAsync({owner: checker}, {owner: 'jane'}).catch(error => {
+      expect(error.message).toBe('store unavailable');
+    });
+  });
+
+  it('keeps pending branches of a matched union from rejecting unhandled', () => {
+    const spec = {owner: PropTypes.oneOfType([StoreDown, PropTypes.string])};
+    return getUnhandledRejections(() => {
+      return PropTypes.checkPropTypesAsync(spec, {owner: 'jane'}).then(isValid => expect(isValid).toBe(true));
+    }).then(reasons => expect(reasons).toEqual([]));
+  });
+
+  it('awaits pending checks before failing fast', () => {
+    const specs = [
+      PropTypes.shape({owner: StoreDown, port: PropTypes.number}),
+      PropTypes.exact({owner: StoreDown, port: PropTypes.number}),
+      PropTypes.arrayOf(PropTypes.oneOfType([StoreDown, PropTypes.number])),
+      PropTypes.objectOf(PropTypes.oneOfType([StoreDown, PropTypes.number])),
+      PropTypes.tuple([StoreDown, PropTypes.number]),
+      PropTypes.mapOf(PropTypes.string, PropTypes.oneOfType([StoreDown, PropTypes.number])),
+      PropTypes.setOf(PropTypes.oneOfType([StoreDown, PropTypes.number])),
+    ];
+    const values = [
+      {owner: 'jane', port: 'nope'},
+      {owner: 'jane', port: 'nope'},
+      ['jane', true],
+      {owner: 'jane', port: true},
+      ['jane', 'nope'],
+      new Map([['owner', 'jane'], ['port', true]]),
+      new Set(['jane', true]),
+    ];
+    return getUnhandledRejections(() => Promise.all(specs.map((spec, i) => {
+      return PropTypes.checkPropTypesAsync({value: spec}, {value: values[i]}).catch(error => error.message);
+    })).then(messages => {
+      expect(messages).toEqual(specs.map(() => 'store unavailable'));
+    })).then(reasons => expect(reasons).toEqual([]));
+  });
+
+  it('keeps the descriptor and optionality of the refined checker', () => {
+    const checker = PropTypes.asyncRefine(PropTypes.integer.min(1), function isFree() { return true; }).isOptional;
+    expect(checker.describe().kind).toBe('number');
+    expect(checker.describe().optional).toBe(true);
+    expect(checker.describe().constraints.map(constraint => constraint.name)).toEqual(['integer', 'min', 'asyncRefine']);
+    return PropTypes.checkPropTypesAsync({port: checker}, {}).then(isValid => expect(isValid).toBe(true));
+  });
+
+  it('names the predicate when there is no description', () => {
+    expect.assertions(1);
+    const checker = PropTypes.asyncRefine(PropTypes.string, function isReadable() { return false; });
+    return PropTypes.checkPropTypesAsync({path: checker}, {path: '/tmp'}).catch(error => {
+      expect(error.message).toBe('Invalid param `path` of value `/tmp` supplied to `function`, expected a value passing `isReadable`.');
+    });
+  });
+
+  it('reports async checkers passed to the sync API', () => {
+    expect(() => PropTypes.checkPropTypes({owner: UserId}, {owner: 'jane'})).toThrow(
+      'function: type specification of param `owner` is asynchronous; use `checkPropTypesAsync` to check it.',
+    );
+  });
+
+  it('keeps async checkers passed to the sync API from rejecting unhandled', () => {
+    return getUnhandledRejections(() => {
+      expect(() => PropTypes.checkPropTypes({owner: StoreDown}, {owner: 'jane'})).toThrow(
+        'function: type specification of param `owner` is asynchronous; use `checkPropTypesAsync` to check it.',
+      );
+      expect(() => PropTypes.checkValueType('jane', StoreDown)).toThrow('is asynchronous');
+    }).then(reasons => expect(reasons).toEqual([]));
+  });
+
+  it('warns for invalid arguments', () => {
+    spyOn(console, 'error');
+    PropTypes.asyncRefine(PropTypes.string);
+    expect(console.error).toHaveBeenCalledWith(
+      'Warning: Invalid arguments supplied to asyncRefine, expected a type checker and a predicate function.',
+    );
+  });
+});
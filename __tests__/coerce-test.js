@@ -0,0 +1,82 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const PropTypes = require('../index');
+
+describe('coerce', () => {
+  it('converts primitives from strings', () => {
+    const values = {port: '8080', debug: 'true', verbose: '0', name: 42};
+    const result = PropTypes.coerce({
+      port: PropTypes.integer,
+      debug: PropTypes.bool,
+      verbose: PropTypes.bool,
+      name: PropTypes.string,
+    }, values);
+
+    expect(result).toEqual({port: 8080, debug: true, verbose: false, name: '42'});
+    expect(result).not.toBe(values);
+    expect(values.port).toBe('8080');
+  });
+
+  it('splits comma separated lists', () => {
+    expect(PropTypes.coerce(PropTypes.arrayOf(PropTypes.number), '1, 2,3')).toEqual([1, 2, 3]);
+    expect(PropTypes.coerce(PropTypes.arrayOf(PropTypes.string), '')).toEqual([]);
+    expect(PropTypes.coerce(PropTypes.array, 'a,b')).toEqual(['a', 'b']);
+  });
+
+  it('parses dates for instanceOf(Date)', () => {
+    const date = PropTypes.coerce(PropTypes.instanceOf(Date), '2018-02-28T10:00:00.000Z');
+    expect(date instanceof Date).toBe(true);
+    expect(date.toISOString()).toBe('2018-02-28T10:00:00.000Z');
+  });
+
+  it('follows nested checkers', () => {
+    const spec = PropTypes.shape({
+      limit: PropTypes.number,
+      sort: PropTypes.oneOf([1, -1]),
+      ids: PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.number, PropTypes.string])),
+      flags: PropTypes.objectOf(PropTypes.bool),
+    });
+    expect(PropTypes.coerce(spec, {limit: '10', sort: '-1', ids: '1,a', flags: {x: 'false'}, extra: 'kept'})).toEqual({
+      limit: 10,
+      sort: -1,
+      ids: [1, 'a'],
+      flags: {x: false},
+      extra: 'kept',
+    });
+  });
+
+  it('keeps values that already are one of the options', () => {
+    expect(PropTypes.coerce(PropTypes.oneOf(['1', 1]), 1)).toBe(1);
+    expect(PropTypes.coerce(PropTypes.oneOf(['1', 1]), '1')).toBe('1');
+    expect(PropTypes.coerce(PropTypes.oneOf([1, 2]), '2')).toBe(2);
+  });
+
+  it('parses JSON objects', () => {
+    const spec = PropTypes.exact({a: PropTypes.number});
+    expect(PropTypes.coerce(spec, '{"a": "1"}')).toEqual({a: 1});
+  });
+
+  it('leaves missing values to the checkers', () => {
+    const spec = {port: PropTypes.number.isOptional};
+    expect(PropTypes.coerce(spec, {})).toEqual({});
+    expect(() => PropTypes.coerce({port: PropTypes.number}, {})).toThrow(
+      'The param `port` is marked as required in `function`, but its value is `undefined`.',
+    );
+  });
+
+  it('throws for values that cannot be converted', () => {
+    expect(() => PropTypes.coerce({port: PropTypes.integer}, {port: '80.5'}, 'env', 'config')).toThrow(
+      'Invalid env `port` of value `80.5` supplied to `config`, expected an integer.',
+    );
+    expect(() => PropTypes.coerce({debug: PropTypes.bool}, {debug: 'maybe'})).toThrow(
+      'Invalid param `debug` of type `string` supplied to `function`, expected `boolean`.',
+    );
+  });
+});
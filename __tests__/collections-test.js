@@ -0,0 +1,120 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const PropTypes = require('../index');
+
+function check(typeSpec, value) {
+  return () => PropTypes.checkPropTypes({value: typeSpec}, {value: value});
+}
+
+describe('mapOf', () => {
+  const Cache = PropTypes.mapOf(PropTypes.string, PropTypes.number);
+
+  it('accepts maps of valid entries', () => {
+    expect(check(Cache, new Map())).not.toThrow();
+    expect(check(Cache, new Map([['a', 1], ['b', 2]]))).not.toThrow();
+  });
+
+  it('rejects values that are not maps', () => {
+    expect(check(Cache, {a: 1})).toThrow(
+      'Invalid param `value` of type `object` supplied to `function`, expected a Map.',
+    );
+    expect(check(Cache, [['a', 1]])).toThrow(
+      'Invalid param `value` of type `array` supplied to `function`, expected a Map.',
+    );
+  });
+
+  it('names invalid entries after their key', () => {
+    expect(check(Cache, new Map([['a', 1], ['abc', '2']]))).toThrow(
+      'Invalid param `value<Map>[key "abc"]` of type `string` supplied to `function`, expected `number`.',
+    );
+    expect(check(Cache, new Map([[1, 1]]))).toThrow(
+      'Invalid param `value<Map>[key 1]<key>` of type `number` supplied to `function`, expected `string`.',
+    );
+  });
+
+  it('reports every invalid entry with its path', () => {
+    const failures = PropTypes.validateAll({cache: Cache}, {cache: new Map([['a', 'x'], [2, 3]])});
+    expect(failures.map(failure => failure.path)).toEqual([['cache', 'a'], ['cache', 2]]);
+  });
+
+  it('reports invalid notation', () => {
+    expect(check(PropTypes.mapOf(PropTypes.string, {}), new Map())).toThrow(
+      'Property `value` of component `function` has invalid PropType notation inside mapOf.',
+    );
+  });
+});
+
+describe('setOf', () => {
+  const Tags = PropTypes.setOf(PropTypes.string);
+
+  it('accepts sets of valid items', () => {
+    expect(check(Tags, new Set())).not.toThrow();
+    expect(check(Tags, new Set(['a', 'b']))).not.toThrow();
+  });
+
+  it('rejects values that are not sets', () => {
+    expect(check(Tags, ['a'])).toThrow(
+      'Invalid param `value` of type `array` supplied to `function`, expected a Set.',
+    );
+  });
+
+  it('names invalid items after their position', () => {
+    expect(check(Tags, new Set(['a', 'b', 3]))).toThrow(
+      'Invalid param `value<Set>[2]` of type `number` supplied to `function`, expected `string`.',
+    );
+  });
+});
+
+describe('iterableOf', () => {
+  const Numbers = PropTypes.iterableOf(PropTypes.number);
+
+  it('accepts any iterable object', () => {
+    function* generate() {
+      yield 1;
+      yield 2;
+    }
+    expect(check(Numbers, [1, 2])).not.toThrow();
+    expect(check(Numbers, new Set([1, 2]))).not.toThrow();
+    expect(check(Numbers, generate())).not.toThrow();
+  });
+
+  it('rejects values that are not iterable objects', () => {
+    expect(check(Numbers, {a: 1})).toThrow(
+      'Invalid param `value` of type `object` supplied to `function`, expected an iterable.',
+    );
+    expect(check(Numbers, '12')).toThrow(
+      'Invalid param `value` of type `string` supplied to `function`, expected an iterable.',
+    );
+  });
+
+  it('names invalid items after their position', () => {
+    expect(check(Numbers, [1, '2'])).toThrow(
+      'Invalid param `value<Iterable>[1]` of type `string` supplied to `function`, expected `number`.',
+    );
+  });
+});
+
+describe('collection descriptors', () => {
+  it('are supported by stringify and toJSONSchema', () => {
+    const spec = {
+      cache: PropTypes.mapOf(PropTypes.string, PropTypes.number),
+      tags: PropTypes.setOf(PropTypes.string).isOptional,
+      items: PropTypes.iterableOf(PropTypes.bool),
+    };
+    expect(PropTypes.stringify(spec)).toBe(
+      '{ cache: Map<string, number>, tags?: Set<string>, items: Iterable<boolean> }',
+    );
+    expect(PropTypes.toJSONSchema(spec).properties).toEqual({
+      cache: {type: 'object', additionalProperties: {type: 'number'}},
+      tags: {type: 'array', items: {type: 'string'}, uniqueItems: true},
+      items: {type: 'array', items: {type: 'boolean'}},
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const PropTypes = require('../index');
+
+describe('generateDeclarations', () => {
+  it('emits interfaces for shapes and exact objects', () => {
+    const declarations = PropTypes.generateDeclarations({
+      User: PropTypes.shape({
+        id: PropTypes.number,
+        tags: PropTypes.arrayOf(PropTypes.string).isOptional,
+      }),
+      Options: PropTypes.exact({
+        kind: PropTypes.oneOf(['a', 'b']),
+        meta: PropTypes.objectOf(PropTypes.instanceOf(Date)),
+      }),
+    });
+
+    expect(declarations).toBe(
+      'export interface User {\n' +
+      '  id: number;\n' +
+      '  tags?: string[];\n' +
+      '  [key: string]: unknown;\n' +
+      '}\n' +
+      '\n' +
+      'export interface Options {\n' +
+      "  kind: 'a' | 'b';\n" +
+      '  meta: Record<string, Date>;\n' +
+      '}\n',
+    );
+  });
+
+  it('emits type aliases for other checkers', () => {
+    expect(PropTypes.generateDeclarations({
+      Id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+      Points: PropTypes.arrayOf(PropTypes.exact({x: PropTypes.number})),
+    })).toBe(
+      'export type Id = string | number;\n' +
+      '\n' +
+      'export type Points = { x: number }[];\n',
+    );
+  });
+
+  it('emits custom checkers as unknown', () => {
+    const isEven = value => typeof value === 'number' && value % 2 === 0;
+    expect(PropTypes.generateDeclarations({
+      Config: PropTypes.shape({port: PropTypes.createChecker('even number', isEven)}),
+      Port: PropTypes.createChecker('port', isEven).isOptional,
+    })).toBe(
+      'export interface Config {\n' +
+      '  port: unknown;\n' +
+      '  [key: string]: unknown;\n' +
+      '}\n' +
+      '\n' +
+      'export type Port = unknown | undefined;\n',
+    );
+  });
+
+  it('emits interfaces for objects of checkers', () => {
+    expect(PropTypes.generateDeclarations({
+      Params: {name: PropTypes.string, limit: PropTypes.integer.isOptional},
+    })).toBe(
+      'export interface Params {\n' +
+      '  name: string;\n' +
+      '  limit?: number;\n' +
+      '  [key: string]: unknown;\n' +
+      '}\n',
+    );
+  });
+
+  it('skips exports that are not specs', () => {
+    expect(PropTypes.generateDeclarations({
+      helper() {},
+      VERSION: 1,
+      Name: PropTypes.string,
+    })).toBe('export type Name = string;\n');
+  });
+
+  it('describes specs created by other copies of the package', () => {
+    const {generateDeclarations} = require('../declarations');
+    expect(generateDeclarations({Flag: PropTypes.bool})).toBe('export type Flag = boolean;\n');
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const PropTypes = require('../index');
+
+describe('applyDefaults', () => {
+  const spec = {
+    port: PropTypes.integer.isOptional.default(8080),
+    host: PropTypes.string.isOptional.default(() => 'localhost'),
+    tls: PropTypes.shape({
+      enabled: PropTypes.bool.isOptional.default(false),
+      ciphers: PropTypes.arrayOf(PropTypes.string).isOptional.default(() => []),
+    }).isOptional.default(() => ({})),
+    name: PropTypes.string,
+  };
+
+  it('fills in missing values', () => {
+    const values = {name: 'api'};
+    expect(PropTypes.applyDefaults(spec, values)).toEqual({
+      port: 8080,
+      host: 'localhost',
+      tls: {enabled: false, ciphers: []},
+      name: 'api',
+    });
+    expect(values).toEqual({name: 'api'});
+  });
+
+  it('keeps given values, including null', () => {
+    expect(PropTypes.applyDefaults(spec, {port: 80, host: null, tls: {enabled: true}})).toEqual({
+      port: 80,
+      host: null,
+      tls: {enabled: true, ciphers: []},
+    });
+  });
+
+  it('creates a fresh value from default functions', () => {
+    const first = PropTypes.applyDefaults(spec, {});
+    const second = PropTypes.applyDefaults(spec, {});
+    expect(first.tls.ciphers).not.toBe(second.tls.ciphers);
+  });
+
+  it('recurses into arrays and exact objects', () => {
+    const items = PropTypes.arrayOf(PropTypes.exact({
+      qty: PropTypes.number.isOptional.default(1),
+    }));
+    expect(PropTypes.applyDefaults(items, [{}, {qty: 3}])).toEqual([{qty: 1}, {qty: 3}]);
+  });
+
+  it('leaves the checks to the checkers', () => {
+    const checker = PropTypes.number.isOptional.default(1);
+    expect(PropTypes.checkValueType(undefined, checker)).toBe(true);
+    expect(PropTypes.checkValueType('1', checker, false)).toBe(false);
+    expect(checker.describe().default).toBe(1);
+  });
+
+  it('are exported to and imported from JSON Schema', () => {
+    const schema = PropTypes.toJSONSchema({port: spec.port, host: spec.host});
+    expect(schema.properties).toEqual({
+      port: {type: 'integer', default: 8080},
+      host: {type: 'string'},
+    });
+    const checker = PropTypes.fromJSONSchema(schema);
+    expect(PropTypes.applyDefaults(checker, {})).toEqual({port: 8080});
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const PropTypes = require('../index');
+
+describe('formatValue', () => {
+  const {formatValue} = PropTypes;
+
+  it('formats primitives', () => {
+    expect(formatValue('a')).toBe('"a"');
+    expect(formatValue('a', {quoteStrings: false})).toBe('a');
+    expect(formatValue(-0)).toBe('-0');
+    expect(formatValue(BigInt(10))).toBe('10n');
+    expect(formatValue(Symbol('id'))).toBe('Symbol(id)');
+    expect(formatValue(undefined)).toBe('undefined');
+    expect(formatValue(null)).toBe('null');
+    expect(formatValue(function named() {})).toBe('[Function named]');
+    expect(formatValue(() => {})).toBe('[Function]');
+  });
+
+  it('formats objects', () => {
+    class Point {
+      constructor() {
+        this.x = 1;
+      }
+    }
+    expect(formatValue({a: 1, 'b-c': [true, 'x']})).toBe('{ a: 1, "b-c": [true, "x"] }');
+    expect(formatValue(new Point())).toBe('Point { x: 1 }');
+    expect(formatValue(new Map([['a', 1]]))).toBe('Map(1) { "a" => 1 }');
+    expect(formatValue(new Set([1]))).toBe('Set(1) { 1 }');
+    expect(formatValue(new Date(0))).toBe('1970-01-01T00:00:00.000Z');
+    expect(formatValue(/a+/g)).toBe('/a+/g');
+    expect(formatValue(new TypeError('bad'))).toBe('[TypeError: bad]');
+    expect(formatValue({})).toBe('{}');
+    expect(formatValue(Object.create(null))).toBe('{}');
+  });
+
+  it('limits depth, items and string length', () => {
+    expect(formatValue({a: {b: {c: 1}}})).toBe('{ a: { b: {…} } }');
+    expect(formatValue({a: {b: {c: 1}}}, {maxDepth: 1})).toBe('{ a: {…} }');
+    expect(formatValue([1, 2, 3, 4, 5, 6, 7])).toBe('[1, 2, 3, 4, 5, … 2 more]');
+    expect(formatValue('abcdef', {maxStringLength: 3})).toBe('"abc…"');
+  });
+
+  it('marks cycles', () => {
+    const node = {name: 'root', children: []};
+    node.children.push(node);
+    expect(formatValue(node)).toBe('{ name: "root", children: [[Circular]] }');
+  });
+
+  it('redacts sensitive values', () => {
+    const redact = (key, value, path) => key === 'token' || path.join('.') === 'user.password';
+    expect(formatValue({token: 'abc', user: {name: 'jane', password: 'x'}}, {redact})).toBe(
+      '{ token: [redacted], user: { name: "jane", password: [redacted] } }',
+    );
+  });
+
+  it('never throws for throwing getters or proxies', () => {
+    const value = {
+      a: 1,
+      get b() {
+        throw new Error('getter');
+      },
+    };
+    expect(formatValue(value)).toBe('{ a: 1, b: [Getter threw] }');
+    const proxy = new Proxy({}, {
+      ownKeys() {
+        throw new Error('trap');
+      },
+    });
+    expect(formatValue({proxy})).toBe('{ proxy: [Unreadable object] }');
+  });
+
+  it('redacts the value itself given its path', () => {
+    const redact = (key, value, path) => key === 'password' || path.join('.') === 'creds.user.pin';
+    expect(formatValue('hunter2', {redact, path: ['creds', 'password']})).toBe('[redacted]');
+    expect(formatValue({pin: 1234}, {redact, path: ['creds', 'user']})).toBe('{ pin: [redacted] }');
+    expect(formatValue('jane', {redact, path: ['creds', 'user'], quoteStrings: false})).toBe('jane');
+  });
+});
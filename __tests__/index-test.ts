@@ -0,0 +1,79 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Compile-only checks of the typings, run with `npm run test:types`.
+
+import * as PropTypes from '../index';
+import { InferProps, InferType } from '../index';
+
+const specs = {
+  id: PropTypes.number,
+  name: PropTypes.string.isOptional,
+  parent: PropTypes.number.isNullable,
+  note: PropTypes.string.isOptional.isNullable,
+  kind: PropTypes.oneOf(['a', 'b']),
+  level: PropTypes.oneOf([1, 2, 3]),
+  point: PropTypes.tuple([PropTypes.number, PropTypes.string]),
+  path: PropTypes.tuple([PropTypes.string], {rest: PropTypes.number}),
+};
+
+type Props = InferProps<typeof specs>;
+
+const counted = PropTypes.mapOf(PropTypes.string, PropTypes.number);
+const tagged = PropTypes.setOf(PropTypes.string);
+
+const props: Props = {
+  id: 1,
+  parent: null,
+  kind: 'a',
+  level: 2,
+  point: [1, 'x'],
+  path: ['root', 1, 2],
+};
+
+// `.isOptional` keys may be missing or undefined, but not null
+const withOptional: Props = {...props, name: undefined, note: null};
+// @ts-expect-error `name` is not nullable
+const nullName: Props = {...props, name: null};
+
+// keys are required unless optional, even when nullable
+// @ts-expect-error `parent` is missing
+const missingParent: Props = {id: 1, kind: 'a', level: 2, point: [1, 'x'], path: ['root']};
+// @ts-expect-error `id` is not nullable
+const nullId: Props = {...props, id: null};
+
+// `oneOf` infers literal unions
+// @ts-expect-error `c` is not one of the values
+const badKind: Props = {...props, kind: 'c'};
+// @ts-expect-error `4` is not one of the values
+const badLevel: Props = {...props, level: 4};
+
+// tuples keep their positions and spread their rest type
+const x: number = props.point[0];
+const label: string = props.point[1];
+// @ts-expect-error the second item is a string
+const badPoint: Props = {...props, point: [1, 2]};
+const rest: number | undefined = props.path[3];
+// @ts-expect-error rest items are numbers
+const badPath: Props = {...props, path: ['root', 'a']};
+
+// refinements chain on the optional and nullable variants
+const refined = {
+  level: PropTypes.number.isOptional.min(0),
+  count: PropTypes.integer.isNullable.max(5),
+  label: PropTypes.string.isOptional.isNullable.nonEmpty(),
+  tags: PropTypes.arrayOf(PropTypes.string).isOptional.nonEmpty(),
+};
+const refinedProps: InferProps<typeof refined> = {count: null, label: null};
+// @ts-expect-error `count` is required
+const missingCount: InferProps<typeof refined> = {};
+// @ts-expect-error `level` is not nullable
+const nullLevel: InferProps<typeof refined> = {count: 1, level: null};
+
+// Map and Set come from the es2015 lib referenced by the typings
+const counts: InferType<typeof counted> = new Map([['a', 1]]);
+const tags: InferType<typeof tagged> = new Set(['a']);
@@ -0,0 +1,322 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const PropTypes = require('../index');
+
+const DRAFT_07 = 'http://json-schema.org/draft-07/schema#';
+
+describe('toJSONSchema', () => {
+  it('converts primitives', () => {
+    expect(PropTypes.toJSONSchema(PropTypes.string)).toEqual({$schema: DRAFT_07, type: 'string'});
+    expect(PropTypes.toJSONSchema(PropTypes.bool)).toEqual({$schema: DRAFT_07, type: 'boolean'});
+    expect(PropTypes.toJSONSchema(PropTypes.array)).toEqual({$schema: DRAFT_07, type: 'array'});
+    expect(PropTypes.toJSONSchema(PropTypes.any)).toEqual({$schema: DRAFT_07});
+  });
+
+  it('converts refinements', () => {
+    expect(PropTypes.toJSONSchema(PropTypes.integer.min(1).max(10))).toEqual({
+      $schema: DRAFT_07,
+      type: 'integer',
+      minimum: 1,
+      maximum: 10,
+    });
+    expect(PropTypes.toJSONSchema(PropTypes.string.nonEmpty().matches(/^a/).format('url'))).toEqual({
+      $schema: DRAFT_07,
+      type: 'string',
+      minLength: 1,
+      pattern: '^a',
+      format: 'uri',
+    });
+  });
+
+  it('derives required keys from optionality', () => {
+    const schema = PropTypes.toJSONSchema({
+      id: PropTypes.number,
+      name: PropTypes.string.isOptional,
+    });
+    expect(schema).toEqual({
+      $schema: DRAFT_07,
+      type: 'object',
+      properties: {
+        id: {type: 'number'},
+        name: {type: 'string'},
+      },
+      required: ['id'],
+    });
+  });
+
+  it('converts nested checkers', () => {
+    const spec = PropTypes.exact({
+      tags: PropTypes.arrayOf(PropTypes.string).isOptional,
+      meta: PropTypes.objectOf(PropTypes.oneOfType([PropTypes.number, PropTypes.bool])),
+      kind: PropTypes.oneOf(['a', 'b']),
+      created: PropTypes.instanceOf(Date),
+      user: PropTypes.shape({id: PropTypes.number}),
+    });
+
+    expect(PropTypes.toJSONSchema(spec, {draft: '2020-12'})).toEqual({
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      type: 'object',
+      properties: {
+        tags: {type: 'array', items: {type: 'string'}},
+        meta: {
+          type: 'object',
+          additionalProperties: {anyOf: [{type: 'number'}, {type: 'boolean'}]},
+        },
+        kind: {enum: ['a', 'b']},
+        created: {type: 'string', format: 'date-time'},
+        user: {type: 'object', properties: {id: {type: 'number'}}, required: ['id']},
+      },
+      required: ['meta', 'kind', 'created', 'user'],
+      additionalProperties: false,
+    });
+  });
+
+  it('pins the tag of discriminated unions', () => {
+    const spec = PropTypes.discriminatedUnion('type', {
+      click: PropTypes.shape({type: PropTypes.string, x: PropTypes.number.isOptional}),
+    });
+    expect(PropTypes.toJSONSchema(spec).anyOf).toEqual([{
+      type: 'object',
+      properties: {type: {const: 'click'}, x: {type: 'number'}},
+      required: ['type'],
+    }]);
+  });
+
+  it('adds null to nullable types', () => {
+    const schema = PropTypes.toJSONSchema({
+      name: PropTypes.string.isNullable,
+      kind: PropTypes.oneOf(['a', 'b']).isOptional.isNullable,
+      tags: PropTypes.arrayOf(PropTypes.string.isNullable).isNullable,
+      value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isNullable,
+    });
+    expect(schema.properties).toEqual({
+      name: {type: ['string', 'null']},
+      kind: {enum: ['a', 'b', null]},
+      tags: {type: ['array', 'null'], items: {type: ['string', 'null']}},
+      value: {anyOf: [{anyOf: [{type: 'string'}, {type: 'number'}]}, {type: 'null'}]},
+    });
+    expect(schema.required).toEqual(['name', 'tags', 'value']);
+  });
+
+  it('converts array constraints', () => {
+    const schema = PropTypes.toJSONSchema({
+      tags: PropTypes.arrayOf(PropTypes.string).nonEmpty().maxItems(5).unique(),
+      users: PropTypes.arrayOf(PropTypes.object).unique(user => user.id),
+    });
+    expect(schema.properties).toEqual({
+      tags: {type: 'array', items: {type: 'string'}, minItems: 1, maxItems: 5, uniqueItems: true},
+      users: {type: 'array', items: {type: 'object'}},
+    });
+  });
+
+  it('converts tuples for each draft', () => {
+    const spec = PropTypes.tuple([PropTypes.string], {rest: PropTypes.number});
+    expect(PropTypes.toJSONSchema(spec)).toEqual({
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'array',
+      items: [{type: 'string'}],
+      additionalItems: {type: 'number'},
+      minItems: 1,
+    });
+    expect(PropTypes.toJSONSchema(PropTypes.tuple([PropTypes.number, PropTypes.number]), {draft: '2020-12'})).toEqual({
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      type: 'array',
+      prefixItems: [{type: 'number'}, {type: 'number'}],
+      items: false,
+      minItems: 2,
+    });
+  });
+
+  it('accepts custom checker functions as any value', () => {
+    const schema = PropTypes.toJSONSchema({custom: () => null});
+    expect(schema.properties.custom).toEqual({});
+    expect(schema.required).toBe(undefined);
+  });
+
+  it('throws for invalid arguments', () => {
+    expect(() => PropTypes.toJSONSchema(null)).toThrow(
+      'Invalid argument supplied to toJSONSchema, expected a type checker or an object of type checkers.',
+    );
+    expect(() => PropTypes.toJSONSchema(PropTypes.string, {draft: '04'})).toThrow(
+      'Invalid draft supplied to toJSONSchema',
+    );
+  });
+});
+
+describe('fromJSONSchema', () => {
+  function isValid(checker, value) {
+    return PropTypes.checkValueType(value, checker, false);
+  }
+
+  it('builds primitive checkers', () => {
+    const checker = PropTypes.fromJSONSchema({type: 'integer', minimum: 1, maximum: 10});
+    expect(isValid(checker, 5)).toBe(true);
+    expect(isValid(checker, 5.5)).toBe(false);
+    expect(isValid(checker, 11)).toBe(false);
+
+    const name = PropTypes.fromJSONSchema({type: 'string', minLength: 1, format: 'email'});
+    expect(isValid(name, 'jane@example.com')).toBe(true);
+    expect(isValid(name, 'jane')).toBe(false);
+  });
+
+  it('builds object checkers from properties and required', () => {
+    const checker = PropTypes.fromJSONSchema({
+      type: 'object',
+      properties: {
+        id: {type: 'number'},
+        tags: {type: 'array', items: {type: 'string'}},
+      },
+      required: ['id'],
+      additionalProperties: false,
+    });
+
+    expect(isValid(checker, {id: 1})).toBe(true);
+    expect(isValid(checker, {id: 1, tags: ['a']})).toBe(true);
+    expect(isValid(checker, {tags: ['a']})).toBe(false);
+    expect(isValid(checker, {id: 1, tags: [1]})).toBe(false);
+    expect(isValid(checker, {id: 1, other: true})).toBe(false);
+  });
+
+  it('builds objectOf, enum and union checkers', () => {
+    const checker = PropTypes.fromJSONSchema({
+      type: 'object',
+      additionalProperties: {anyOf: [{enum: ['a', 'b']}, {type: 'boolean'}]},
+    });
+
+    expect(isValid(checker, {x: 'a', y: true})).toBe(true);
+    expect(isValid(checker, {x: 'c'})).toBe(false);
+    expect(isValid(PropTypes.fromJSONSchema({type: ['string', 'number']}), 1)).toBe(true);
+  });
+
+  it('builds nullable checkers from null types', () => {
+    const name = PropTypes.fromJSONSchema({type: ['string', 'null']});
+    expect(name.describe().nullable).toBe(true);
+    expect(isValid(name, null)).toBe(true);
+    expect(isValid(name, 'a')).toBe(true);
+    expect(isValid(name, undefined)).toBe(false);
+
+    const kind = PropTypes.fromJSONSchema({enum: ['a', null]});
+    expect(isValid(kind, null)).toBe(true);
+    expect(isValid(kind, 'b')).toBe(false);
+
+    const value = PropTypes.fromJSONSchema({anyOf: [{type: 'number'}, {type: 'null'}]});
+    expect(value.describe().kind).toBe('number');
+    expect(isValid(value, null)).toBe(true);
+
+    expect(isValid(PropTypes.fromJSONSchema({type: 'null'}), null)).toBe(true);
+    expect(isValid(PropTypes.fromJSONSchema({type: 'null'}), 0)).toBe(false);
+  });
+
+  it('accepts null for schemas that accept any value', () => {
+    expect(isValid(PropTypes.fromJSONSchema({}), null)).toBe(true);
+    expect(isValid(PropTypes.fromJSONSchema({description: 'anything'}), null)).toBe(true);
+
+    const checker = PropTypes.fromJSONSchema({
+      type: 'object',
+      properties: {a: {}, b: true, c: {default: 1}},
+      required: ['a', 'd'],
+    });
+    expect(isValid(checker, {a: null, d: null})).toBe(true);
+    expect(isValid(checker, {a: null, b: null, c: null, d: 1})).toBe(true);
+    expect(isValid(checker, {d: null})).toBe(false);
+    expect(isValid(checker, {a: null})).toBe(false);
+  });
+
+  it('resolves local references', () => {
+    const checker = PropTypes.fromJSONSchema({
+      type: 'array',
+      items: {$ref: '#/definitions/point'},
+      definitions: {
+        point: {
+          type: 'object',
+          properties: {x: {type: 'number'}, y: {type: 'number'}},
+          required: ['x', 'y'],
+        },
+      },
+    });
+
+    expect(isValid(checker, [{x: 1, y: 2}])).toBe(true);
+    expect(isValid(checker, [{x: 1}])).toBe(false);
+  });
+
+  it('builds array constraints', () => {
+    const tags = PropTypes.fromJSONSchema({type: 'array', items: {type: 'string'}, minItems: 1, maxItems: 2, uniqueItems: true});
+    expect(isValid(tags, ['a'])).toBe(true);
+    expect(isValid(tags, [])).toBe(false);
+    expect(isValid(tags, ['a', 'b', 'c'])).toBe(false);
+    expect(isValid(tags, ['a', 'a'])).toBe(false);
+    expect(isValid(PropTypes.fromJSONSchema({type: 'array', minItems: 1}), [null])).toBe(true);
+  });
+
+  it('builds tuple checkers', () => {
+    const point = PropTypes.fromJSONSchema({
+      type: 'array',
+      prefixItems: [{type: 'number'}, {type: 'number'}],
+      items: false,
+      minItems: 2,
+    });
+    expect(isValid(point, [1, 2])).toBe(true);
+    expect(isValid(point, [1, 2, 3])).toBe(false);
+
+    const call = PropTypes.fromJSONSchema({type: 'array', items: [{type: 'string'}], minItems: 1});
+    expect(isValid(call, ['add', 1, 'x'])).toBe(true);
+    expect(isValid(call, [1])).toBe(false);
+
+    expect(() => PropTypes.fromJSONSchema({type: 'array', prefixItems: [{type: 'number'}]})).toThrow(
+      '`#/prefixItems` (tuples must require all 1 items with `minItems`)',
+    );
+  });
+
+  it('round-trips toJSONSchema', () => {
+    const spec = PropTypes.exact({
+      id: PropTypes.integer.min(0),
+      name: PropTypes.string.isOptional,
+      parent: PropTypes.integer.isNullable,
+    });
+    const checker = PropTypes.fromJSONSchema(PropTypes.toJSONSchema(spec));
+    expect(PropTypes.toJSONSchema(checker)).toEqual(PropTypes.toJSONSchema(spec));
+  });
+
+  it('reports every unsupported keyword', () => {
+    expect(() => PropTypes.fromJSONSchema({
+      type: 'object',
+      properties: {
+        port: {type: 'number', exclusiveMinimum: 0},
+        host: {type: 'string', format: 'hostname'},
+        parent: {$ref: 'other.json#/node'},
+      },
+    })).toThrow(
+      'Unsupported JSON Schema keywords supplied to fromJSONSchema:' +
+        '\n  - `#/properties/port/exclusiveMinimum`' +
+        '\n  - `#/properties/host/format` (format `hostname`)' +
+        '\n  - `#/properties/parent/$ref` (only local references are supported, got `other.json#/node`)',
+    );
+  });
+
+  it('reports object and array enum values', () => {
+    expect(() => PropTypes.fromJSONSchema({
+      type: 'object',
+      properties: {
+        point: {enum: [{x: 1}, 'origin']},
+        tags: {const: ['a']},
+      },
+    })).toThrow(
+      'Unsupported JSON Schema keywords supplied to fromJSONSchema:' +
+        '\n  - `#/properties/point/enum` (object or array values)' +
+        '\n  - `#/properties/tags/const` (object or array value)',
+    );
+  });
+
+  it('throws for invalid arguments', () => {
+    expect(() => PropTypes.fromJSONSchema('string')).toThrow(
+      'Invalid argument supplied to fromJSONSchema, expected a JSON Schema object.',
+    );
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const PropTypes = require('../index');
+
+describe('lazy', () => {
+  const Node = PropTypes.shape({
+    name: PropTypes.string,
+    children: PropTypes.arrayOf(PropTypes.lazy(() => Node)).isOptional,
+  });
+
+  function check(value) {
+    return () => PropTypes.checkPropTypes({tree: Node}, {tree: value});
+  }
+
+  it('checks recursive specs', () => {
+    expect(check({name: 'a', children: [{name: 'b', children: [{name: 'c'}]}]})).not.toThrow();
+    expect(check({name: 'a', children: [{name: 'b', children: [{name: 1}]}]})).toThrow(
+      'Invalid param `tree.children[0].children[0].name` of type `number` supplied to `function`, expected `string`.',
+    );
+  });
+
+  it('reports cyclic values', () => {
+    const root = {name: 'a', children: []};
+    root.children.push({name: 'b', children: [root]});
+
+    let error;
+    try {
+      check(root)();
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).toBe(
+      'Invalid param `tree.children[0].children[0]` supplied to `function`, ' +
+        'the value is cyclic: it is the same object as `tree`.',
+    );
+    expect(error.path).toEqual(['tree', 'children', 0, 'children', 0]);
+  });
+
+  it('accepts objects that are referenced more than once', () => {
+    const leaf = {name: 'leaf'};
+    expect(check({name: 'a', children: [leaf, leaf]})).not.toThrow();
+  });
+
+  it('resolves the checker once', () => {
+    const getTypeChecker = jest.fn(() => PropTypes.number);
+    const checker = PropTypes.lazy(getTypeChecker);
+    expect(getTypeChecker).not.toHaveBeenCalled();
+    expect(PropTypes.checkValueType(1, checker, false)).toBe(true);
+    expect(PropTypes.checkValueType('1', checker, false)).toBe(false);
+    expect(getTypeChecker).toHaveBeenCalledTimes(1);
+  });
+
+  it('is required unless marked optional', () => {
+    const checker = PropTypes.lazy(() => PropTypes.number);
+    expect(PropTypes.checkValueType(undefined, checker, false)).toBe(false);
+    expect(PropTypes.checkValueType(undefined, checker.isOptional, false)).toBe(true);
+  });
+
+  it('reports invalid checkers', () => {
+    expect(() => PropTypes.checkValueType(1, PropTypes.lazy(() => undefined))).toThrow(
+      'Property `value` of component `function` has invalid PropType notation inside lazy.',
+    );
+
+    spyOn(console, 'error');
+    expect(PropTypes.lazy('Node')).toBeInstanceOf(Function);
+    expect(console.error).toHaveBeenCalledWith(
+      'Warning: Invalid argument supplied to lazy, expected a function returning a type checker.',
+    );
+  });
+
+  it('is supported by the tooling', () => {
+    expect(PropTypes.stringify(Node)).toBe('{ name: string, children?: any[] }');
+    expect(PropTypes.generateDeclarations({Node})).toBe(
+      'export interface Node {\n' +
+        '  name: string;\n' +
+        '  children?: Node[];\n' +
+        '  [key: string]: unknown;\n' +
+        '}\n',
+    );
+    expect(PropTypes.toJSONSchema(Node, {draft: '2020-12'})).toEqual({
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      $ref: '#/$defs/type1',
+      $defs: {
+        type1: {
+          type: 'object',
+          properties: {
+            name: {type: 'string'},
+            children: {type: 'array', items: {$ref: '#/$defs/type1'}},
+          },
+          required: ['name'],
+        },
+      },
+    });
+    expect(PropTypes.coerce(Node, {name: 'a', children: [{name: 1}]})).toEqual({name: 'a', children: [{name: '1'}]});
+  });
+
+  it('fills in defaults of recursive specs', () => {
+    const Item = PropTypes.shape({
+      items: PropTypes.arrayOf(PropTypes.lazy(() => Item)).isOptional.default(() => []),
+    });
+    expect(PropTypes.applyDefaults(Item, {items: [{}]})).toEqual({items: [{items: []}]});
+
+    const cyclic = {items: []};
+    cyclic.items.push(cyclic);
+    expect(() => PropTypes.applyDefaults(Item, cyclic)).not.toThrow();
+  });
+
+  it('is built for recursive JSON Schema references', () => {
+    const checker = PropTypes.fromJSONSchema({
+      type: 'object',
+      properties: {
+        value: {type: 'number'},
+        next: {$ref: '#'},
+      },
+      required: ['value'],
+    });
+    expect(PropTypes.checkValueType({value: 1, next: {value: 2}}, checker, false)).toBe(true);
+    expect(PropTypes.checkValueType({value: 1, next: {value: '2'}}, checker, false)).toBe(false);
+    expect(PropTypes.fromJSONSchema(PropTypes.toJSONSchema(Node)).describe().kind).toBe('shape');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const createPropTypes = require('../factoryWithTypeCheckers');
+const PropTypeError = require('../PropTypeError');
+
+describe('reporters', () => {
+  const message = 'Invalid param `port` of type `string` supplied to `function`, expected `number`.';
+
+  function createLogger() {
+    return {error: jest.fn()};
+  }
+
+  it('throws failures by default', () => {
+    const PropTypes = createPropTypes();
+    expect(() => PropTypes.checkPropTypes({port: PropTypes.number}, {port: '80'})).toThrow(message);
+  });
+
+  it('keeps the checks exported by the checkTypes module', () => {
+    const PropTypes = createPropTypes();
+    const checkTypes = require('../checkTypes');
+    expect(() => checkTypes.checkPropTypes({port: PropTypes.number}, {port: '80'})).toThrow(message);
+    expect(checkTypes.checkValueType('80', PropTypes.number, false)).toBe(false);
+  });
+
+  it('logs failures through the logger', () => {
+    const logger = createLogger();
+    const PropTypes = createPropTypes({reporter: 'warn', logger});
+    expect(PropTypes.checkPropTypes({port: PropTypes.number, host: PropTypes.string}, {port: '80', host: 1})).toBe(false);
+    expect(logger.error.mock.calls).toEqual([
+      [message],
+      ['Invalid param `host` of type `number` supplied to `function`, expected `string`.'],
+    ]);
+  });
+
+  it('collects failures', () => {
+    const PropTypes = createPropTypes({reporter: 'collect'});
+    expect(PropTypes.checkValueType('80', PropTypes.number)).toBe(false);
+    expect(PropTypes.checkPropTypes({port: PropTypes.number}, {port: 80})).toBe(true);
+    expect(PropTypes.reportedErrors.length).toBe(1);
+    expect(PropTypes.reportedErrors[0]).toBeInstanceOf(PropTypeError);
+    expect(PropTypes.reportedErrors[0].path).toEqual(['value']);
+  });
+
+  it('calls a reporter function', () => {
+    const reporter = jest.fn();
+    const PropTypes = createPropTypes({reporter});
+    const add = PropTypes.typed((a, b) => a + b, [PropTypes.number, PropTypes.number]);
+
+    expect(add(1, '2')).toBe('12');
+    expect(reporter).toHaveBeenCalledTimes(1);
+    expect(reporter.mock.calls[0][0].message).toBe(
+      'Invalid argument `arguments[1]` of type `string` supplied to `Anonymous`, expected `number`.',
+    );
+  });
+
+  it('reports failures of coerce', () => {
+    const PropTypes = createPropTypes({reporter: 'collect'});
+    expect(PropTypes.coerce({port: PropTypes.number}, {port: 'abc'})).toEqual({port: 'abc'});
+    expect(PropTypes.reportedErrors.map(error => error.path)).toEqual([['port']]);
+  });
+
+  it('does not report when checkValueType is only testing', () => {
+    const reporter = jest.fn();
+    const PropTypes = createPropTypes({reporter});
+    expect(PropTypes.checkValueType('80', PropTypes.number, false)).toBe(false);
+    expect(reporter).not.toHaveBeenCalled();
+  });
+
+  it('logs warnings about malformed checkers through the logger', () => {
+    const logger = createLogger();
+    const PropTypes = createPropTypes({logger});
+    PropTypes.oneOf('a', 'b');
+    expect(logger.error).toHaveBeenCalledWith(
+      'Warning: Invalid argument supplied to oneOf, expected an instance of array.',
+    );
+  });
+
+  it('throws for invalid options', () => {
+    expect(() => createPropTypes({reporter: 'ignore'})).toThrow(
+      'Invalid reporter supplied to PropTypes, expected a function or one of ["throw","warn","collect"].',
+    );
+    expect(() => createPropTypes({logger: {}})).toThrow(
+      'Invalid logger supplied to PropTypes, expected an object with an `error` method.',
+    );
+  });
+});
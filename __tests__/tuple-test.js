@@ -0,0 +1,78 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const PropTypes = require('../index');
+
+function check(typeSpec, value) {
+  return () => PropTypes.checkPropTypes({coords: typeSpec}, {coords: value});
+}
+
+describe('tuple', () => {
+  const Point = PropTypes.tuple([PropTypes.number, PropTypes.number]);
+  const Call = PropTypes.tuple([PropTypes.string], {rest: PropTypes.number});
+
+  it('accepts arrays matching every position', () => {
+    expect(check(Point, [1, 2])).not.toThrow();
+    expect(check(Call, ['add'])).not.toThrow();
+    expect(check(Call, ['add', 1, 2, 3])).not.toThrow();
+  });
+
+  it('rejects values that are not arrays', () => {
+    expect(check(Point, {0: 1, 1: 2})).toThrow(
+      'Invalid param `coords` of type `object` supplied to `function`, expected an array.',
+    );
+  });
+
+  it('checks the length', () => {
+    expect(check(Point, [1])).toThrow(
+      'Invalid param `coords` of length `1` supplied to `function`, expected a tuple of 2 items.',
+    );
+    expect(check(Point, [1, 2, 3])).toThrow(
+      'Invalid param `coords` of length `3` supplied to `function`, expected a tuple of 2 items.',
+    );
+    expect(check(Call, [])).toThrow(
+      'Invalid param `coords` of length `0` supplied to `function`, expected a tuple of at least 1 item.',
+    );
+  });
+
+  it('reports positional errors', () => {
+    expect(check(Point, [1, '2'])).toThrow(
+      'Invalid param `coords[1]` of type `string` supplied to `function`, expected `number`.',
+    );
+    expect(check(Call, ['add', 1, '2'])).toThrow(
+      'Invalid param `coords[2]` of type `string` supplied to `function`, expected `number`.',
+    );
+  });
+
+  it('reports the length and every position when collecting', () => {
+    const failures = PropTypes.validateAll({coords: Point}, {coords: ['1', 2, 3]});
+    expect(failures.map(failure => failure.path)).toEqual([['coords'], ['coords', 0]]);
+    expect(failures[0].expected).toBe('tuple');
+  });
+
+  it('describes its positions and rest', () => {
+    const descriptor = Call.describe();
+    expect(descriptor.kind).toBe('tuple');
+    expect(descriptor.types).toEqual([PropTypes.string]);
+    expect(descriptor.rest).toBe(PropTypes.number);
+    expect(Point.describe().rest).toBe(null);
+  });
+
+  it('warns about invalid arguments', () => {
+    spyOn(console, 'error');
+    PropTypes.tuple(PropTypes.number);
+    PropTypes.tuple([PropTypes.number, 'string']);
+    PropTypes.tuple([PropTypes.number], {rest: 'number'});
+    expect(console.error.calls.allArgs()).toEqual([
+      ['Warning: Invalid argument supplied to tuple, expected an instance of array.'],
+      ['Warning: Invalid argument supplied to tuple. Expected an array of check functions, but received string at index 1.'],
+      ['Warning: Invalid `rest` option supplied to tuple, expected a check function, but received string.'],
+    ]);
+  });
+});
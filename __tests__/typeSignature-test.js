@@ -0,0 +1,108 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const PropTypes = require('../index');
+
+describe('stringify', () => {
+  it('renders primitives', () => {
+    expect(PropTypes.stringify(PropTypes.string)).toBe('string');
+    expect(PropTypes.stringify(PropTypes.bool)).toBe('boolean');
+    expect(PropTypes.stringify(PropTypes.integer.min(0))).toBe('number');
+    expect(PropTypes.stringify(PropTypes.func)).toBe('(...args: any[]) => any');
+    expect(PropTypes.stringify(PropTypes.func.isNullable)).toBe('((...args: any[]) => any) | null');
+    expect(PropTypes.stringify(PropTypes.func.isOptional)).toBe('((...args: any[]) => any) | undefined');
+    expect(PropTypes.stringify(PropTypes.oneOfType([PropTypes.func, PropTypes.string]))).toBe('((...args: any[]) => any) | string');
+    expect(PropTypes.stringify({onChange: PropTypes.func.isOptional.isNullable})).toBe('{ onChange?: ((...args: any[]) => any) | null }');
+    expect(PropTypes.stringify(PropTypes.string.isOptional)).toBe('string | undefined');
+    expect(PropTypes.stringify(PropTypes.string.isNullable)).toBe('string | null');
+    expect(PropTypes.stringify(PropTypes.string.isOptional.isNullable)).toBe('string | null | undefined');
+    expect(PropTypes.stringify({name: PropTypes.string.isOptional.isNullable})).toBe('{ name?: string | null }');
+  });
+
+  it('renders shapes', () => {
+    const spec = PropTypes.shape({
+      id: PropTypes.number,
+      tags: PropTypes.arrayOf(PropTypes.string).isOptional,
+      kind: PropTypes.oneOf(['a', 'b']),
+    });
+    expect(PropTypes.stringify(spec)).toBe("{ id: number, tags?: string[], kind: 'a' | 'b' }");
+    expect(PropTypes.stringify({'content-type': PropTypes.string})).toBe('{ "content-type": string }');
+    expect(PropTypes.stringify(PropTypes.exact({}))).toBe('{}');
+  });
+
+  it('renders composite types', () => {
+    function Thing() {}
+
+    expect(PropTypes.stringify(PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number]))))
+      .toBe('(string | number)[]');
+    expect(PropTypes.stringify(PropTypes.objectOf(PropTypes.instanceOf(Thing)))).toBe('Record<string, Thing>');
+    expect(PropTypes.stringify(PropTypes.createChecker('Even', () => true))).toBe('Even');
+    expect(PropTypes.stringify(() => null)).toBe('any');
+  });
+
+  it('renders tuples', () => {
+    expect(PropTypes.stringify(PropTypes.tuple([PropTypes.number, PropTypes.string.isOptional]))).toBe(
+      '[number, string | undefined]',
+    );
+    expect(PropTypes.stringify(PropTypes.tuple([PropTypes.string], {
+      rest: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    }))).toBe('[string, ...(string | number)[]]');
+  });
+
+  it('renders discriminated unions with their tags', () => {
+    const spec = PropTypes.discriminatedUnion('type', {
+      click: PropTypes.shape({type: PropTypes.string, x: PropTypes.number}),
+      key: PropTypes.shape({type: PropTypes.string, code: PropTypes.string}),
+    });
+    expect(PropTypes.stringify(spec)).toBe(
+      "{ type: 'click', x: number } | { type: 'key', code: string }",
+    );
+  });
+
+  it('renders the tag of branches that leave it out', () => {
+    const spec = PropTypes.discriminatedUnion('type', {
+      click: PropTypes.shape({x: PropTypes.number}),
+      key: PropTypes.exact({type: PropTypes.string.isOptional, code: PropTypes.string}),
+    });
+    expect(PropTypes.stringify(spec)).toBe(
+      "{ type: 'click', x: number } | { type: 'key', code: string }",
+    );
+  });
+
+  it('throws for invalid arguments', () => {
+    expect(() => PropTypes.stringify(null)).toThrow(
+      'Invalid argument supplied to stringify, expected a type checker or an object of type checkers.',
+    );
+  });
+});
+
+describe('verbose errors', () => {
+  const VerbosePropTypes = require('../factoryWithTypeCheckers')({verbose: true});
+
+  it('include the expected type of the innermost shape', () => {
+    const spec = VerbosePropTypes.shape({
+      id: VerbosePropTypes.number,
+      user: VerbosePropTypes.exact({name: VerbosePropTypes.string}),
+    });
+
+    expect(() => {
+      VerbosePropTypes.checkPropTypes({payload: spec}, {payload: {id: 1, user: {name: 2}}});
+    }).toThrow(
+      'Invalid param `payload.user.name` of type `number` supplied to `function`, expected `string`.' +
+        '\nExpected `payload.user` to be { name: string }.',
+    );
+  });
+
+  it('are off by default', () => {
+    const errors = PropTypes.validateAll({payload: PropTypes.shape({id: PropTypes.number})}, {payload: {id: '1'}});
+    expect(errors[0].message).toBe(
+      'Invalid param `payload.id` of type `string` supplied to `function`, expected `number`.',
+    );
+  });
+});
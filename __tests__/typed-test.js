@@ -0,0 +1,85 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const PropTypes = require('../index');
+
+describe('typed', () => {
+  function add(a, b) {
+    return a + b;
+  }
+
+  it('calls through for valid arguments', () => {
+    const typedAdd = PropTypes.typed(add, [PropTypes.number, PropTypes.number], PropTypes.number);
+    expect(typedAdd(1, 2)).toBe(3);
+    expect(typedAdd.name).toBe('add');
+  });
+
+  it('checks each positional argument', () => {
+    const typedAdd = PropTypes.typed(add, [PropTypes.number, PropTypes.number]);
+    expect(() => typedAdd(1, '2')).toThrow(
+      'Invalid argument `arguments[1]` of type `string` supplied to `add`, expected `number`.',
+    );
+    expect(() => typedAdd(1)).toThrow(
+      'The argument `arguments[1]` is marked as required in `add`, but its value is `undefined`.',
+    );
+  });
+
+  it('exposes the argument index on the error path', () => {
+    expect.assertions(2);
+    const typedAdd = PropTypes.typed(add, [PropTypes.number, PropTypes.number]);
+    try {
+      typedAdd(1, '2');
+    } catch (e) {
+      expect(e.path).toEqual([1]);
+      expect(e.componentName).toBe('add');
+    }
+  });
+
+  it('checks the return value', () => {
+    const typedAdd = PropTypes.typed(add, [PropTypes.any, PropTypes.any], PropTypes.number);
+    expect(() => typedAdd('1', 2)).toThrow(
+      'Invalid return `value` of type `string` supplied to `add`, expected `number`.',
+    );
+  });
+
+  it('preserves `this`', () => {
+    const counter = {
+      count: 1,
+      increment: PropTypes.typed(function increment(by) {
+        return this.count + by;
+      }, [PropTypes.number]),
+    };
+    expect(counter.increment(2)).toBe(3);
+  });
+
+  it('checks the resolved value of promises', () => {
+    const load = PropTypes.typed(function load(value) {
+      return Promise.resolve(value);
+    }, [PropTypes.any], PropTypes.string);
+
+    return load('ok').then(value => {
+      expect(value).toBe('ok');
+      return load(1).then(
+        () => { throw new Error('Expected the promise to reject.'); },
+        error => {
+          expect(error instanceof PropTypes.PropTypeError).toBe(true);
+          expect(error.message).toBe(
+            'Invalid return `value` of type `number` supplied to `load`, expected `string`.',
+          );
+        },
+      );
+    });
+  });
+
+  it('throws for invalid arguments', () => {
+    expect(() => PropTypes.typed(null)).toThrow(
+      'Invalid argument supplied to typed, expected a function.',
+    );
+  });
+});
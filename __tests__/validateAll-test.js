@@ -0,0 +1,97 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const PropTypes = require('../index');
+
+describe('validateAll', () => {
+  it('returns an empty list for valid values', () => {
+    const specs = {
+      name: PropTypes.string,
+      tags: PropTypes.arrayOf(PropTypes.string),
+    };
+    expect(PropTypes.validateAll(specs, {name: 'a', tags: ['b']})).toEqual([]);
+  });
+
+  it('reports every failing value instead of the first one', () => {
+    const specs = {
+      name: PropTypes.string,
+      age: PropTypes.number,
+    };
+    const errors = PropTypes.validateAll(specs, {name: 1, age: 'old'});
+
+    expect(errors.map(error => error.path)).toEqual([['name'], ['age']]);
+    expect(errors[0]).toEqual({
+      path: ['name'],
+      expected: 'string',
+      received: 'number',
+      message: 'Invalid param `name` of type `number` supplied to `function`, expected `string`.',
+    });
+  });
+
+  it('walks nested shapes, arrays and objects', () => {
+    const specs = {
+      user: PropTypes.shape({
+        id: PropTypes.number,
+        tags: PropTypes.arrayOf(PropTypes.string),
+        meta: PropTypes.objectOf(PropTypes.bool),
+      }),
+    };
+    const errors = PropTypes.validateAll(specs, {
+      user: {id: '1', tags: ['a', 2, 3], meta: {on: 'yes'}},
+    });
+
+    expect(errors.map(error => error.path)).toEqual([
+      ['user', 'id'],
+      ['user', 'tags', 1],
+      ['user', 'tags', 2],
+      ['user', 'meta', 'on'],
+    ]);
+  });
+
+  it('reports missing required values and unknown exact keys', () => {
+    const specs = {
+      options: PropTypes.exact({port: PropTypes.number}),
+    };
+    const errors = PropTypes.validateAll(specs, {options: {host: 'x'}});
+
+    expect(errors.map(error => error.path)).toEqual([
+      ['options', 'host'],
+      ['options', 'port'],
+    ]);
+    expect(errors[1].received).toBe('undefined');
+  });
+
+  it('keeps checkPropTypes fail-fast', () => {
+    const specs = {a: PropTypes.string, b: PropTypes.string};
+    expect(() => PropTypes.checkPropTypes(specs, {a: 1, b: 2})).toThrow(
+      'Invalid param `a` of type `number` supplied to `function`, expected `string`.',
+    );
+  });
+
+  it('reports errors thrown by custom checkers as failures', () => {
+    const Even = PropTypes.createChecker('even', value => value.isEven());
+    expect(PropTypes.validateAll({a: Even, b: PropTypes.string}, {a: 1, b: 2})).toEqual([
+      {path: ['a'], expected: undefined, received: undefined, message: 'value.isEven is not a function'},
+      {path: ['b'], expected: 'string', received: 'number', message: 'Invalid param `b` of type `number` supplied to `function`, expected `string`.'},
+    ]);
+  });
+
+  it('reports async type specs without failing them', () => {
+    const Owner = PropTypes.asyncRefine(PropTypes.string, () => Promise.reject(new Error('store unavailable')));
+    expect(() => PropTypes.validateAll({owner: Owner}, {owner: 'jane'})).toThrow(
+      'function: type specification of param `owner` is asynchronous; use `checkPropTypesAsync` to check it.',
+    );
+  });
+
+  it('throws for invalid type specs', () => {
+    expect(() => PropTypes.validateAll({a: undefined}, {a: 1})).toThrow(
+      /param type `a` is invalid/,
+    );
+  });
+});
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+// Usage: prop-types-dts <module> [--out <file>]
+//
+// Loads a module exporting prop-type specs and prints (or writes to <file>)
+// the TypeScript declarations generated for them.
+
+const fs = require('fs');
+const path = require('path');
+const { generateDeclarations } = require('../declarations');
+
+const USAGE = 'Usage: prop-types-dts <module> [--out <file>]';
+
+function main(args) {
+	const outIndex = args.indexOf('--out');
+	const outFile = outIndex !== -1 ? args[outIndex + 1] : null;
+	const modulePaths = outIndex === -1 ? args : args.filter((arg, i) => i !== outIndex && i !== outIndex + 1);
+
+	if (modulePaths.length !== 1 || (outIndex !== -1 && !outFile)) {
+		console.error(USAGE);
+		return 1;
+	}
+
+	const modulePath = path.resolve(modulePaths[0]);
+	const source = path.relative(process.cwd(), modulePath);
+	const declarations = '// Generated by prop-types-dts from ' + source + '. Do not edit.\n\n' +
+		generateDeclarations(require(modulePath));
+
+	if (outFile) {
+		fs.writeFileSync(outFile, declarations);
+	} else {
+		process.stdout.write(declarations);
+	}
+	return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -7,80 +7,248 @@
 
 'use strict';
 
-// assume we are bubbling this error upwards
-function printWarning(text) {
-	throw new Error(text);
-};
+const PropTypeError = require('./PropTypeError');
+const { createReporter } = require('./reporter');
 
-function checkPropType(typeSpec, values, typeSpecName, location, componentName) {
-	let error;
+// This is intentionally an invariant that gets caught. It's the same
+// behavior as without this statement except with a better message.
+function assertTypeSpec(typeSpec, typeSpecName, location, componentName) {
+	if (typeof typeSpec !== 'function') {
+		const err = Error(
+			`${componentName || 'Anonymous'}: ${location} type \`${typeSpecName
+			}\` is invalid; it must be a function, usually from the "js-prop-types" package, but received \`${
+			typeof typeSpec} \``);
+		err.name = 'Invariant Violation';
+		throw err;
+	}
+}
+
+function getInvalidResultMessage(result, typeSpecName, location, componentName) {
+	if (typeof result.then === 'function') {
+		return (componentName || 'Anonymous') + ': type specification of ' +
+			location + ' `' + typeSpecName + '` is asynchronous; use ' +
+			'`checkPropTypesAsync` to check it.';
+	}
+	return (componentName || 'Anonymous') + ': type specification of ' +
+		location + ' `' + typeSpecName + '` is invalid; the type checker ' +
+		'function must return `null` or an `Error` but returned a ' + typeof result + '. ' +
+		'You may have forgotten to pass an argument to the type checker ' +
+		'creator (arrayOf, instanceOf, objectOf, oneOf, oneOfType, and ' +
+		'shape all require an argument).';
+}
+
+function runTypeSpec(typeSpec, values, typeSpecName, location, componentName, propFullName, context) {
 	// Prop type validation may throw. In case they do, we don't want to
 	// fail the render phase where it didn't fail before. So we log it.
 	// After these have been cleaned up, we'll let them throw.
 	try {
-		// This is intentionally an invariant that gets caught. It's the same
-		// behavior as without this statement except with a better message.
-		if (typeof typeSpec !== 'function') {
-			const err = Error(
-				`${componentName || 'Anonymous'}: ${location} type \`${typeSpecName
-				}\` is invalid; it must be a function, usually from the "js-prop-types" package, but received \`${
-				typeof typeSpec} \``);
-			err.name = 'Invariant Violation';
-			throw err;
-		}
-		error = typeSpec(values, typeSpecName, componentName, location, null);
+		assertTypeSpec(typeSpec, typeSpecName, location, componentName);
+		return typeSpec(values, typeSpecName, componentName, location, propFullName, context);
 	} catch (ex) {
-		error = ex;
+		return ex;
 	}
+}
+
+// Returns the failure of a single type spec as a `PropTypeError`, if any.
+function getPropTypeError(typeSpec, values, typeSpecName, location, componentName, propFullName = null) {
+	const error = runTypeSpec(typeSpec, values, typeSpecName, location, componentName, propFullName);
+	return toPropTypeError(error, typeSpecName, location, componentName);
+}
 
+// Async counterpart of getPropTypeError, also awaiting async type checkers.
+function getPropTypeErrorAsync(typeSpec, values, typeSpecName, location, componentName) {
+	const result = runTypeSpec(typeSpec, values, typeSpecName, location, componentName, null);
+	const toError = error => toPropTypeError(error, typeSpecName, location, componentName);
+	return Promise.resolve(result).then(toError, toError);
+}
+
+function toPropTypeError(error, typeSpecName, location, componentName) {
 	if (error instanceof Error) {
-		// throw real exception
-		printWarning(error.message);
+		return new PropTypeError(error.message, Object.assign({ location, componentName }, error.data));
 	} else if (error) {
-		// throw validation error
-		printWarning(
-			(componentName || 'Anonymous') + ': type specification of ' +
-			location + ' `' + typeSpecName + '` is invalid; the type checker ' +
-			'function must return `null` or an `Error` but returned a ' + typeof error + '. ' +
-			'You may have forgotten to pass an argument to the type checker ' +
-			'creator (arrayOf, instanceOf, objectOf, oneOf, oneOfType, and ' +
-			'shape all require an argument).'
-		)
+		// invalid type checker result. An async checker can't be awaited here,
+		// but its Promise must not reject unhandled.
+		if (typeof error.then === 'function') {
+			error.then(null, () => {});
+		}
+		return new PropTypeError(getInvalidResultMessage(error, typeSpecName, location, componentName));
 	}
+	return null;
 }
 
 /**
- * Assert that the values match with the type specs.
- * Error messages are memorized and will only be shown once.
+ * Creates the functions checking values against type specs, which hand
+ * their failures to `reporter` (see `createReporter`).
  *
- * @param {object} typeSpecs Map of name to a ReactPropType
- * @param {object} values Runtime values that need to be type-checked
- * @param {string} location e.g. "prop", "context", "child context"
- * @param {string} componentName Name of the component for error messages.
+ * @param {object} reporter Reporter of the failures, throwing by default.
+ * @return {object}
  */
-function checkPropTypes(typeSpecs, values, location = 'param', componentName = 'function') {
-	for (const typeSpecName of Object.keys(typeSpecs)) {
-		checkPropType(typeSpecs[typeSpecName], values, typeSpecName, location, componentName);
+function createCheckTypes(reporter = createReporter()) {
+	// Reports a failure, returns whether the check passed.
+	function checkPropType(...args) {
+		const error = getPropTypeError(...args);
+		if (error) {
+			reporter.report(error);
+			return false;
+		}
+		return true;
 	}
-	return true;
-}
 
-/**
- * Wrapper for checkPropTypes allowing for the evaluation of a single value
- */
-function checkValueType(value, typeSpec, throws = true, location = 'param', componentName = 'function') {
-	try {
+	/**
+	 * Assert that the values match with the type specs.
+	 * Error messages are memorized and will only be shown once.
+	 *
+	 * @param {object} typeSpecs Map of name to a ReactPropType
+	 * @param {object} values Runtime values that need to be type-checked
+	 * @param {string} location e.g. "prop", "context", "child context"
+	 * @param {string} componentName Name of the component for error messages.
+	 * @return {boolean} Whether all values are valid, when failures are
+	 * reported without throwing.
+	 */
+	function checkPropTypes(typeSpecs, values, location = 'param', componentName = 'function') {
+		let isValid = true;
+		for (const typeSpecName of Object.keys(typeSpecs)) {
+			isValid = checkPropType(typeSpecs[typeSpecName], values, typeSpecName, location, componentName) && isValid;
+		}
+		return isValid;
+	}
+
+	/**
+	 * Async counterpart of checkPropTypes, for type specs that include async
+	 * checkers such as `asyncRefine`. All values are checked in parallel and
+	 * their failures are reported in the order of `typeSpecs`.
+	 *
+	 * @param {object} typeSpecs Map of name to a ReactPropType
+	 * @param {object} values Runtime values that need to be type-checked
+	 * @param {string} location e.g. "prop", "context", "child context"
+	 * @param {string} componentName Name of the component for error messages.
+	 * @return {Promise} Resolves to whether all values are valid, or rejects
+	 * with the first failure when failures are thrown.
+	 */
+	function checkPropTypesAsync(typeSpecs, values, location = 'param', componentName = 'function') {
+		const typeSpecNames = Object.keys(typeSpecs);
+		return Promise.all(typeSpecNames.map(typeSpecName => {
+			return getPropTypeErrorAsync(typeSpecs[typeSpecName], values, typeSpecName, location, componentName);
+		})).then(errors => {
+			let isValid = true;
+			for (const error of errors) {
+				if (error) {
+					reporter.report(error);
+					isValid = false;
+				}
+			}
+			return isValid;
+		});
+	}
+
+	/**
+	 * Wrapper for checkPropTypes allowing for the evaluation of a single value.
+	 * Unless `throws` is set, a failure is only returned as `false` rather than
+	 * reported.
+	 */
+	function checkValueType(value, typeSpec, throws = true, location = 'param', componentName = 'function') {
 		// { value: value } preserves any undefined refs
-		checkPropType(typeSpec, { value: value }, 'value', location, componentName);
-	} catch (e) {
-		if (throws) throw e;
+		const error = getPropTypeError(typeSpec, { value: value }, 'value', location, componentName);
+		if (!error) {
+			return true;
+		}
+		if (throws) {
+			reporter.report(error);
+		}
 		return false;
 	}
 
-	return true;
-}
+	/**
+	 * Wraps a function so that its positional arguments and return value are
+	 * checked on every call. The return value of a function returning a Promise
+	 * is checked once it resolves.
+	 *
+	 * @param {function} fn Function to wrap, its name is used in error messages.
+	 * @param {array} argTypeSpecs Type spec of each positional argument
+	 * @param {?function} returnTypeSpec Type spec of the return value, if any
+	 * @return {function}
+	 */
+	function typed(fn, argTypeSpecs = [], returnTypeSpec = null) {
+		if (typeof fn !== 'function') {
+			throw new PropTypeError('Invalid argument supplied to typed, expected a function.');
+		}
+		if (!Array.isArray(argTypeSpecs)) {
+			throw new PropTypeError('Invalid argument supplied to typed, expected an array of argument type specs.');
+		}
+		const componentName = fn.name || 'Anonymous';
+
+		function checkReturnValue(value) {
+			checkPropType(returnTypeSpec, { value: value }, 'value', 'return', componentName);
+			return value;
+		}
 
-module.exports = {
-	checkPropTypes,
-	checkValueType,
+		function typedFunction(...args) {
+			for (let i = 0; i < argTypeSpecs.length; i++) {
+				checkPropType(argTypeSpecs[i], args, i, 'argument', componentName, `arguments[${i}]`);
+			}
+
+			const result = fn.apply(this, args);
+			if (returnTypeSpec == null) {
+				return result;
+			}
+			if (result != null && typeof result.then === 'function') {
+				return result.then(checkReturnValue);
+			}
+			return checkReturnValue(result);
+		}
+		Object.defineProperty(typedFunction, 'name', { value: componentName });
+
+		return typedFunction;
+	}
+
+	/**
+	 * Collect-all counterpart of checkPropTypes: validates every value and every
+	 * nested element instead of stopping at the first failure.
+	 *
+	 * @param {object} typeSpecs Map of name to a ReactPropType
+	 * @param {object} values Runtime values that need to be type-checked
+	 * @param {string} location e.g. "prop", "context", "child context"
+	 * @param {string} componentName Name of the component for error messages.
+	 * @return {array} `{ path, expected, received, message }` for each failure,
+	 * empty when all values are valid.
+	 */
+	function validateAll(typeSpecs, values, location = 'param', componentName = 'function') {
+		const failures = [];
+		for (const typeSpecName of Object.keys(typeSpecs)) {
+			const typeSpec = typeSpecs[typeSpecName];
+			assertTypeSpec(typeSpec, typeSpecName, location, componentName);
+
+			const context = { collect: true, path: [typeSpecName], ancestors: null };
+			const error = runTypeSpec(typeSpec, values, typeSpecName, location, componentName, null, context);
+			if (!(error instanceof Error)) {
+				// invalid type checker results, such as the Promise of an async one
+				if (error) {
+					reporter.report(toPropTypeError(error, typeSpecName, location, componentName));
+				}
+				continue;
+			}
+			// an error thrown by a type checker fails the whole value
+			for (const leaf of error.errors || [error]) {
+				const failure = toPropTypeError(leaf, typeSpecName, location, componentName);
+				failures.push({
+					path: failure.path.length > 0 ? failure.path : [typeSpecName],
+					expected: failure.expectedType,
+					received: failure.actualType,
+					message: failure.message,
+				});
+			}
+		}
+		return failures;
+	}
+
+	return {
+		checkPropTypes,
+		checkPropTypesAsync,
+		checkValueType,
+		typed,
+		validateAll,
+	};
 }
+
+// the functions of the default, throwing reporter are exported as well
+module.exports = Object.assign({ createCheckTypes }, createCheckTypes());
@@ -0,0 +1,183 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const { createCheckTypes } = require('./checkTypes');
+const { has, isPlainObject, createLazyGuard } = require('./utils');
+
+// only used to test values, failures are never reported
+const { checkValueType } = createCheckTypes();
+
+// Values that contain themselves are left for the checker to reject.
+const throughLazy = createLazyGuard();
+
+const BOOLEAN_STRINGS = {
+	'true': true,
+	'1': true,
+	'false': false,
+	'0': false,
+};
+
+// Strings holding JSON objects or arrays, e.g. from environment variables.
+function parseJSON(value, isExpected) {
+	if (typeof value === 'string') {
+		try {
+			const parsed = JSON.parse(value);
+			if (isExpected(parsed)) {
+				return parsed;
+			}
+		} catch (e) {
+			// not JSON, left for the checker to reject
+		}
+	}
+	return value;
+}
+
+function coerceList(value, itemChecker, describeType) {
+	let items = parseJSON(value, Array.isArray);
+	if (typeof items === 'string') {
+		items = items.trim() === '' ? [] : items.split(',').map(item => item.trim());
+	}
+	if (!Array.isArray(items)) {
+		return value;
+	}
+	return itemChecker ? items.map(item => coerceValue(item, itemChecker, describeType)) : items;
+}
+
+function coerceFields(value, fields, describeType) {
+	const object = parseJSON(value, isPlainObject);
+	if (!isPlainObject(object)) {
+		return value;
+	}
+	const result = Object.assign({}, object);
+	for (const key of Object.keys(fields)) {
+		if (fields[key] && has(object, key)) {
+			result[key] = coerceValue(object[key], fields[key], describeType);
+		}
+	}
+	return result;
+}
+
+/**
+ * Converts a value towards the type its checker expects: '42' to 42, 'true'
+ * to true, 'a,b' to ['a', 'b'], ISO strings to dates for `instanceOf(Date)`
+ * and so on. Values that can't be converted are returned as they are.
+ */
+function coerceValue(value, checker, describeType) {
+	const descriptor = describeType(checker);
+	if (value == null || !descriptor) {
+		return value;
+	}
+
+	switch (descriptor.kind) {
+		case 'number':
+			if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
+				return Number(value);
+			}
+			return value;
+		case 'boolean':
+			if (typeof value === 'string' && has(BOOLEAN_STRINGS, value.trim().toLowerCase())) {
+				return BOOLEAN_STRINGS[value.trim().toLowerCase()];
+			}
+			return value;
+		case 'string':
+			if (typeof value === 'number' || typeof value === 'boolean') {
+				return String(value);
+			}
+			return value;
+		case 'array':
+			return coerceList(value, null, describeType);
+		case 'arrayOf':
+			return coerceList(value, descriptor.type, describeType);
+		case 'objectOf': {
+			const object = parseJSON(value, isPlainObject);
+			if (!isPlainObject(object)) {
+				return value;
+			}
+			const result = {};
+			for (const key of Object.keys(object)) {
+				result[key] = coerceValue(object[key], descriptor.type, describeType);
+			}
+			return result;
+		}
+		case 'object':
+			return parseJSON(value, isPlainObject);
+		case 'shape':
+		case 'exact':
+			return coerceFields(value, descriptor.fields, describeType);
+		case 'instanceOf':
+			if (descriptor.expectedClass === Date && (typeof value === 'string' || typeof value === 'number')) {
+				const date = new Date(value);
+				return isNaN(date.getTime()) ? value : date;
+			}
+			return value;
+		case 'oneOf': {
+			// values that already are one of the options are kept as they are
+			if (descriptor.values.some(option => Object.is(option, value))) {
+				return value;
+			}
+			const match = descriptor.values.find(option => option != null && String(option) === String(value));
+			return match === undefined ? value : match;
+		}
+		case 'oneOfType':
+			// the first type the value can be converted to wins
+			for (const type of descriptor.types) {
+				const coerced = coerceValue(value, type, describeType);
+				if (checkValueType(coerced, type, false)) {
+					return coerced;
+				}
+			}
+			return value;
+		case 'discriminatedUnion': {
+			const object = parseJSON(value, isPlainObject);
+			if (!isPlainObject(object) || !has(descriptor.types, object[descriptor.tag])) {
+				return value;
+			}
+			return coerceValue(object, descriptor.types[object[descriptor.tag]], describeType);
+		}
+		case 'lazy':
+			return throughLazy(value, () => coerceValue(value, descriptor.resolve(), describeType));
+		default:
+			return value;
+	}
+}
+
+/**
+ * Converts values to the types their checkers expect, e.g. when they come
+ * from query strings or environment variables, then checks the result. Only
+ * values that could not be converted fail the check.
+ *
+ * @param {function|object} typeSpec Checker, or map of name to checker
+ * @param {*} values Value, or map of name to value, to convert
+ * @param {function} describeType Returns the descriptor of a checker
+ * @param {object} checkTypes `checkPropTypes` and `checkValueType` reporting
+ * the values that could not be converted
+ * @param {string} location e.g. "prop", "context", "child context"
+ * @param {string} componentName Name of the component for error messages.
+ * @return {*} Converted copy of `values`
+ */
+function coerce(typeSpec, values, describeType, checkTypes, location = 'param', componentName = 'function') {
+	if (typeof typeSpec === 'function') {
+		const value = coerceValue(values, typeSpec, describeType);
+		checkTypes.checkValueType(value, typeSpec, true, location, componentName);
+		return value;
+	}
+
+	const result = Object.assign({}, values);
+	for (const key of Object.keys(typeSpec)) {
+		if (has(result, key)) {
+			result[key] = coerceValue(result[key], typeSpec[key], describeType);
+		}
+	}
+	checkTypes.checkPropTypes(typeSpec, result, location, componentName);
+	return result;
+}
+
+module.exports = {
+	coerce,
+};
@@ -0,0 +1,79 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const { stringify, stringifyFieldEntries } = require('./typeSignature');
+
+const SIGNATURE_OPTIONS = { openShapes: true, declarations: true };
+
+// Reads descriptors through `checker.describe()`, so that specs created by
+// another copy of this package can be described as well.
+function describeChecker(checker) {
+	return typeof checker.describe === 'function' ? checker.describe() : undefined;
+}
+
+function isTypeSpecMap(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+		Object.keys(value).every(key => typeof value[key] === 'function');
+}
+
+function formatInterface(name, entries) {
+	const body = entries.map(entry => '  ' + entry + ';\n').join('');
+	return 'export interface ' + name + ' {\n' + body + '}\n';
+}
+
+// `names` maps exported checkers to their names, so that recursive specs
+// refer to themselves by name.
+function generateDeclaration(name, typeSpec, describeType, names) {
+	if (isTypeSpecMap(typeSpec)) {
+		return formatInterface(name, stringifyFieldEntries(typeSpec, describeType, Object.assign({ names }, SIGNATURE_OPTIONS), true));
+	}
+
+	const descriptor = describeType(typeSpec);
+	if (descriptor && !descriptor.optional && !descriptor.nullable && (descriptor.kind === 'shape' || descriptor.kind === 'exact')) {
+		const options = Object.assign({ names, rendering: [typeSpec] }, SIGNATURE_OPTIONS);
+		return formatInterface(name, stringifyFieldEntries(descriptor.fields, describeType, options, descriptor.kind === 'shape'));
+	}
+	return 'export type ' + name + ' = ' + stringify(typeSpec, describeType, Object.assign({ names }, SIGNATURE_OPTIONS)) + ';\n';
+}
+
+/**
+ * Generates TypeScript declarations for the specs exported by a module. Each
+ * exported checker, or object of checkers as given to checkPropTypes, becomes
+ * an interface or type alias of the same name; other exports are skipped.
+ *
+ * `shape`s accept unknown keys and are given an index signature, `exact`s are
+ * closed object types.
+ *
+ * @param {object} specs Module exports, map of name to spec
+ * @param {function} describeType Returns the descriptor of a checker
+ * @return {string} Contents of a `.d.ts` file
+ */
+function generateDeclarations(specs, describeType = describeChecker) {
+	if (specs === null || typeof specs !== 'object') {
+		throw new Error('Invalid argument supplied to generateDeclarations, expected an object of type specs.');
+	}
+
+	const specNames = Object.keys(specs).filter(name => {
+		const typeSpec = specs[name];
+		const isSpec = isTypeSpecMap(typeSpec) || (typeof typeSpec === 'function' && describeType(typeSpec));
+		return isSpec && /^[A-Za-z_$][\w$]*$/.test(name);
+	});
+	const names = new Map();
+	for (const name of specNames) {
+		if (!names.has(specs[name])) {
+			names.set(specs[name], name);
+		}
+	}
+
+	return specNames.map(name => generateDeclaration(name, specs[name], describeType, names)).join('\n');
+}
+
+module.exports = {
+	generateDeclarations,
+};
@@ -0,0 +1,83 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const { has, isPlainObject, createLazyGuard } = require('./utils');
+
+const throughLazy = createLazyGuard();
+
+// Defaults given as functions are called for a fresh value each time.
+function resolveDefault(descriptor) {
+	return typeof descriptor.default === 'function' ? descriptor.default() : descriptor.default;
+}
+
+function applyFieldDefaults(fields, values, describeType) {
+	const result = Object.assign({}, values);
+	for (const key of Object.keys(fields)) {
+		if (fields[key]) {
+			const value = applyValueDefaults(result[key], fields[key], describeType);
+			if (value !== undefined || has(result, key)) {
+				result[key] = value;
+			}
+		}
+	}
+	return result;
+}
+
+function applyValueDefaults(value, checker, describeType) {
+	const descriptor = describeType(checker);
+	if (!descriptor) {
+		return value;
+	}
+	if (value === undefined && has(descriptor, 'default')) {
+		value = resolveDefault(descriptor);
+	}
+
+	switch (descriptor.kind) {
+		case 'shape':
+		case 'exact':
+			return isPlainObject(value) ? applyFieldDefaults(descriptor.fields, value, describeType) : value;
+		case 'arrayOf':
+			return Array.isArray(value) ? value.map(item => applyValueDefaults(item, descriptor.type, describeType)) : value;
+		case 'objectOf': {
+			if (!isPlainObject(value)) {
+				return value;
+			}
+			const result = {};
+			for (const key of Object.keys(value)) {
+				result[key] = applyValueDefaults(value[key], descriptor.type, describeType);
+			}
+			return result;
+		}
+		case 'lazy':
+			return throughLazy(value, () => applyValueDefaults(value, descriptor.resolve(), describeType));
+		default:
+			return value;
+	}
+}
+
+/**
+ * Fills missing values in with the defaults of their checkers, set with
+ * `.isOptional.default(value)`, recursing into shapes, exact objects, arrays
+ * and objects. Values are not checked.
+ *
+ * @param {function|object} typeSpec Checker, or map of name to checker
+ * @param {*} values Value, or map of name to value
+ * @param {function} describeType Returns the descriptor of a checker
+ * @return {*} Copy of `values` with the defaults filled in
+ */
+function applyDefaults(typeSpec, values, describeType) {
+	if (typeof typeSpec === 'function') {
+		return applyValueDefaults(values, typeSpec, describeType);
+	}
+	return applyFieldDefaults(typeSpec, values, describeType);
+}
+
+module.exports = {
+	applyDefaults,
+};
@@ -0,0 +1,30 @@
+// Type definitions for @o3/prop-types/factoryWithTypeCheckers
+
+import * as PropTypes from './index';
+
+declare namespace createPropTypes {
+	interface Options {
+		/**
+		 * Append the expected type signature of the enclosing `shape` or
+		 * `exact` to the failures inside it.
+		 */
+		verbose?: boolean;
+		/**
+		 * Returns whether a value nested in a value shown in an error message
+		 * is sensitive, in which case it is shown as `[redacted]`.
+		 */
+		redact?: PropTypes.RedactFunction;
+		/**
+		 * What to do with failed checks: throw them (default), log them
+		 * through the logger, collect them into `PropTypes.reportedErrors`,
+		 * or call a function with each of them.
+		 */
+		reporter?: 'throw' | 'warn' | 'collect' | ((error: PropTypes.PropTypeError) => void);
+		/** Logger for warnings and the "warn" reporter, defaults to `console`. */
+		logger?: { error(message: string): void };
+	}
+}
+
+declare function createPropTypes(options?: createPropTypes.Options): typeof PropTypes;
+
+export = createPropTypes;
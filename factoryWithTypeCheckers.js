@@ -7,22 +7,48 @@
 
 'use strict';
 
-const { checkPropTypes, checkValueType } = require('./checkTypes');
+const { createCheckTypes } = require('./checkTypes');
+const { createReporter } = require('./reporter');
+const PropTypeError = require('./PropTypeError');
+const { fromJSONSchema, toJSONSchema } = require('./jsonSchema');
+const { stringify } = require('./typeSignature');
+const { generateDeclarations } = require('./declarations');
+const { coerce } = require('./coerce');
+const { applyDefaults } = require('./defaults');
+const { formatValue } = require('./formatValue');
+const { has } = require('./utils');
 
-const has = Function.call.bind(Object.prototype.hasOwnProperty);
+// Describes what each checker validates (its kind, arguments and
+// optionality), so that spec trees can be walked without re-declaring them.
+// Also available through `checker.describe()`.
+const typeDescriptors = new WeakMap();
 
-// warnings here are tentative and can be pushed to stderr instead
-// of bubbling up
-const printWarning = function(text) {
-	const message = `Warning: ${text}`;
-	console.error(message);
-};
+function describeType(checker) {
+	return typeDescriptors.get(checker);
+}
 
 function emptyFunctionThatReturnsNull() {
 	return null;
 }
 
-module.exports = function() {
+/**
+ * @param {object} options
+ * @param {boolean} options.verbose Append the expected type signature of the
+ * enclosing `shape` or `exact` to the failures inside it.
+ * @param {function} options.redact Called as `redact(key, value, path)` for
+ * the nested values shown in error messages, returns whether the value is
+ * sensitive and should be shown as `[redacted]`.
+ * @param {string|function} options.reporter What to do with failed checks:
+ * "throw" them (default), "warn" through the logger, "collect" them into
+ * `PropTypes.reportedErrors`, or a function called with each of them.
+ * @param {object} options.logger Object with an `error(message)` method for
+ * warnings and the "warn" reporter, defaults to `console`.
+ */
+module.exports = function(options = {}) {
+	const reporter = createReporter(options);
+	const printWarning = reporter.warn;
+	const { checkPropTypes, checkPropTypesAsync, checkValueType, typed, validateAll } = createCheckTypes(reporter);
+
 	/* global Symbol */
 	const ITERATOR_SYMBOL = typeof Symbol === 'function' && Symbol.iterator;
 	const FAUX_ITERATOR_SYMBOL = '@@iterator'; // Before Symbol spec.
@@ -50,66 +76,432 @@ module.exports = function() {
 
 	const ANONYMOUS = '<<anonymous>>';
 
+	/**
+	 * Refinements available as chainable methods on a checker, e.g.
+	 * `PropTypes.number.min(0).max(65535)`. Each one returns the constraint it
+	 * adds: what the value is `expected` to be and a `test` for it, optionally
+	 * with an `explain(value)` suffix detailing a failure.
+	 */
+	const numberRefinements = {
+		min: min => ({
+			name: 'min',
+			args: [min],
+			expected: 'a number greater than or equal to `' + min + '`',
+			test: value => value >= min,
+		}),
+		max: max => ({
+			name: 'max',
+			args: [max],
+			expected: 'a number less than or equal to `' + max + '`',
+			test: value => value <= max,
+		}),
+		integer: () => ({
+			name: 'integer',
+			args: [],
+			expected: 'an integer',
+			test: Number.isInteger,
+		}),
+		finite: () => ({
+			name: 'finite',
+			args: [],
+			expected: 'a finite number',
+			test: Number.isFinite,
+		}),
+		safeInteger: () => ({
+			name: 'safeInteger',
+			args: [],
+			expected: 'a safe integer',
+			test: Number.isSafeInteger,
+		}),
+	};
+
+	// Checks a string starting with a `YYYY-MM-DD` date. `Date.parse` alone
+	// rolls days past the end of a month over, e.g. Feb 30th to Mar 2nd.
+	function isValidDate(value) {
+		const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+		const date = new Date(0);
+		date.setUTCFullYear(year, month - 1, day);
+		return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day && !isNaN(Date.parse(value));
+	}
+
+	// Named string formats, usable through `PropTypes.string.format(name)`.
+	const stringFormats = {
+		'email': value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+		'uuid': value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+		// ISO-8601 calendar date and date-time
+		'date': value => /^\d{4}-\d{2}-\d{2}$/.test(value) && isValidDate(value),
+		'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && isValidDate(value),
+		'url': value => {
+			try {
+				new URL(value);
+				return true;
+			} catch (e) {
+				return false;
+			}
+		},
+		'hex-color': value => /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value),
+	};
+
+	const stringRefinements = {
+		matches: pattern => ({
+			name: 'matches',
+			args: [pattern],
+			expected: 'a string matching `' + pattern + '`',
+			// `search` ignores the `lastIndex` of global patterns
+			test: value => value.search(pattern) !== -1,
+		}),
+		minLength: length => ({
+			name: 'minLength',
+			args: [length],
+			expected: 'a string of at least `' + length + '` characters',
+			test: value => value.length >= length,
+		}),
+		maxLength: length => ({
+			name: 'maxLength',
+			args: [length],
+			expected: 'a string of at most `' + length + '` characters',
+			test: value => value.length <= length,
+		}),
+		nonEmpty: () => ({
+			name: 'nonEmpty',
+			args: [],
+			expected: 'a non-empty string',
+			test: value => value.length > 0,
+		}),
+		format: format => {
+			if (!has(stringFormats, format)) {
+				printWarning('Invalid argument supplied to format, expected one of ' + JSON.stringify(Object.keys(stringFormats)) + '.');
+				return { name: 'format', args: [format], expected: 'any string', test: () => true };
+			}
+			return {
+				name: 'format',
+				args: [format],
+				expected: 'a string matching format `' + format + '`',
+				test: stringFormats[format],
+			};
+		},
+	};
+
+	// Groups the indices of items sharing a key, e.g. [[0, 2]] for ['a', 'b', 'a'].
+	function findDuplicates(items, getKey) {
+		const indicesByKey = new Map();
+		items.forEach((item, index) => {
+			const key = getKey ? getKey(item, index) : item;
+			if (indicesByKey.has(key)) {
+				indicesByKey.get(key).push(index);
+			} else {
+				indicesByKey.set(key, [index]);
+			}
+		});
+		return Array.from(indicesByKey.values()).filter(indices => indices.length > 1);
+	}
+
+	function formatIndices(indices) {
+		const names = indices.map(index => '`' + index + '`');
+		return names.slice(0, -1).join(', ') + ' and ' + names[names.length - 1];
+	}
+
+	// Refinements of `arrayOf`. The rule is named in the expected value, so a
+	// failure points at the modifier that rejected the array.
+	const arrayRefinements = {
+		minItems: count => ({
+			name: 'minItems',
+			args: [count],
+			expected: 'an array of at least `' + count + '` items (`minItems`)',
+			test: value => value.length >= count,
+		}),
+		maxItems: count => ({
+			name: 'maxItems',
+			args: [count],
+			expected: 'an array of at most `' + count + '` items (`maxItems`)',
+			test: value => value.length <= count,
+		}),
+		nonEmpty: () => ({
+			name: 'nonEmpty',
+			args: [],
+			expected: 'a non-empty array (`nonEmpty`)',
+			test: value => value.length > 0,
+		}),
+		unique: getKey => {
+			if (getKey !== undefined && typeof getKey !== 'function') {
+				printWarning('Invalid argument supplied to unique, expected a function returning the key of an item.');
+				return { name: 'unique', args: [getKey], expected: 'any array', test: () => true };
+			}
+			const duplicateText = getKey ? ' have the same key' : ' are the same';
+			return {
+				name: 'unique',
+				args: getKey ? [getKey] : [],
+				expected: 'an array of unique items (`unique`)',
+				test: value => findDuplicates(value, getKey).length === 0,
+				explain: value => ', but items ' + findDuplicates(value, getKey).map(formatIndices).join('; items ') + duplicateText,
+			};
+		},
+	};
+
 	const PropTypes = {
 		array: createPrimitiveTypeChecker('array'),
 		bool: createPrimitiveTypeChecker('boolean'),
 		func: createPrimitiveTypeChecker('function'),
-		number: createPrimitiveTypeChecker('number'),
+		number: createPrimitiveTypeChecker('number', numberRefinements),
 		object: createPrimitiveTypeChecker('object'),
-		string: createPrimitiveTypeChecker('string'),
+		string: createPrimitiveTypeChecker('string', stringRefinements),
 		symbol: createPrimitiveTypeChecker('symbol'),
 
 		any: createAnyTypeChecker(),
 		arrayOf: createArrayOfTypeChecker,
+		tuple: createTupleTypeChecker,
 		instanceOf: createInstanceTypeChecker,
 		objectOf: createObjectOfTypeChecker,
+		mapOf: createMapOfTypeChecker,
+		setOf: createSetOfTypeChecker,
+		iterableOf: createIterableOfTypeChecker,
 		oneOf: createEnumTypeChecker,
 		oneOfType: createUnionTypeChecker,
+		discriminatedUnion: createDiscriminatedUnionTypeChecker,
 		shape: createShapeTypeChecker,
 		exact: createStrictShapeTypeChecker,
+		createChecker: createCustomTypeChecker,
+		asyncRefine: createAsyncRefinedTypeChecker,
+		lazy: createLazyTypeChecker,
 	};
 
+	PropTypes.integer = PropTypes.number.integer();
+	PropTypes.finite = PropTypes.number.finite();
+	PropTypes.safeInteger = PropTypes.number.safeInteger();
+
 	/**
 	 * We use an Error-like object for backward compatibility as people may call
 	 * PropTypes directly and inspect their output. However, we don't use real
 	 * Errors anymore. We don't inspect their stack anyway, and creating them
 	 * is prohibitively expensive if they are created too often, such as what
 	 * happens in oneOfType() for any type before the one that matched.
+	 * checkPropTypes turns them into a `PropTypeError` once they are thrown.
 	 */
-	function InternalTypeError(message) {
+	function InternalTypeError(message, data) {
 		this.message = message;
+		this.data = data && typeof data === 'object' ? data : {};
 		this.stack = '';
 	}
 	// Make `instanceof Error` still work for returned errors.
 	InternalTypeError.prototype = Error.prototype;
 
-	function createChainableTypeChecker(validate) {
-		function checkType(isRequired, props, propName, componentName, location, propFullName) {
+	/**
+	 * Structured details attached to every validation failure, used by
+	 * `validateAll` to report errors without parsing their messages.
+	 */
+	function createErrorData(context, expectedType, actualType, value) {
+		return {
+			path: context.path,
+			expectedType: expectedType,
+			actualType: actualType,
+			value: value,
+		};
+	}
+
+	/**
+	 * Validation state passed down to nested checkers: the key path from the
+	 * checked root to the current value, whether failures should be collected
+	 * rather than returned on the first one, and the objects containing the
+	 * current value (see `withAncestor`).
+	 */
+	function createContext(propName) {
+		return { collect: false, path: [propName], ancestors: null };
+	}
+
+	function childContext(context, key) {
+		return Object.assign({}, context, { path: context.path.concat(key) });
+	}
+
+	/**
+	 * Records that the values checked below are nested in `value`, as a linked
+	 * list so that entering a value is cheap. `lazy` walks it to detect cyclic
+	 * values, which would otherwise recurse forever through recursive specs.
+	 */
+	function withAncestor(context, value, propFullName) {
+		return Object.assign({}, context, { ancestors: { value, propFullName, parent: context.ancestors || null } });
+	}
+
+	function findAncestor(context, value) {
+		for (let ancestor = context.ancestors; ancestor; ancestor = ancestor.parent) {
+			if (ancestor.value === value) {
+				return ancestor;
+			}
+		}
+		return null;
+	}
+
+	function isThenable(value) {
+		return value != null && typeof value.then === 'function';
+	}
+
+	/**
+	 * Calls `callback` with the results of nested checkers once they are all
+	 * settled, asynchronously if any of them returned a Promise.
+	 */
+	function whenSettled(results, callback) {
+		if (results.some(isThenable)) {
+			return Promise.all(results).then(callback);
+		}
+		return callback(results);
+	}
+
+	// Keeps the result of an async checker that is no longer needed from
+	// rejecting unhandled.
+	function ignoreRejection(result) {
+		result.then(null, emptyFunctionThatReturnsNull);
+	}
+
+	/**
+	 * Returns the first failure among `results` in fail-fast mode. Results of
+	 * async checkers that are still pending are awaited first, as they come
+	 * earlier and a Promise left behind would reject unhandled.
+	 */
+	function settleFirstError(results) {
+		return whenSettled(results, settled => settled.find(Boolean) || null);
+	}
+
+	/**
+	 * Merges the failures reported by nested checkers into a single error. In
+	 * collect-all mode every leaf failure is kept on its `errors` list. Pending
+	 * results of async checkers are merged once they settle.
+	 */
+	function combineErrors(errors) {
+		if (errors.some(isThenable)) {
+			return whenSettled(errors, settled => combineErrors(settled.filter(Boolean)));
+		}
+		if (errors.length === 0) {
+			return null;
+		}
+		if (errors.length === 1) {
+			return errors[0];
+		}
+		const error = new InternalTypeError(errors[0].message, errors[0].data);
+		error.errors = errors.reduce((leaves, e) => leaves.concat(e.errors || [e]), []);
+		return error;
+	}
+
+	/**
+	 * Makes a descriptor read-only, together with the arrays and objects it
+	 * owns (`fields`, `types`, `constraints`...). Values supplied by the user,
+	 * such as the options of `oneOf` or a `default`, are left as they are.
+	 */
+	function freezeDescriptor(descriptor) {
+		for (const key of Object.keys(descriptor)) {
+			const value = descriptor[key];
+			if (key === 'constraints') {
+				for (const constraint of value) {
+					Object.freeze(constraint.args);
+					Object.freeze(constraint);
+				}
+			}
+			if (key !== 'default' && value !== null && typeof value === 'object') {
+				Object.freeze(value);
+			}
+		}
+		return Object.freeze(descriptor);
+	}
+
+	/**
+	 * Builds the required, optional, nullable and optional nullable variants
+	 * of a checker, linked through `.isOptional` and `.isNullable`. Optional
+	 * variants also get `.default(value)`, recording the value to use when it
+	 * is missing (or a function returning it) for `applyDefaults`.
+	 */
+	function createTypeCheckerVariants(checkType, descriptor, methods = {}) {
+		function createVariant(optional, nullable) {
+			const variant = checkType.bind(null, optional, nullable);
+			const variantDescriptor = freezeDescriptor(Object.assign({}, descriptor, { optional, nullable }));
+			typeDescriptors.set(variant, variantDescriptor);
+			variant.describe = () => variantDescriptor;
+			// methods create a new required checker, which keeps the optionality
+			// of the variant they are called on
+			for (const name of Object.keys(methods)) {
+				variant[name] = (...args) => {
+					const checker = methods[name](...args);
+					const withOptional = optional ? checker.isOptional : checker;
+					return nullable ? withOptional.isNullable : withOptional;
+				};
+			}
+			return variant;
+		}
+
+		const required = createVariant(false, false);
+		const optional = createVariant(true, false);
+		const nullable = createVariant(false, true);
+		const optionalNullable = createVariant(true, true);
+
+		required.isOptional = optional;
+		required.isNullable = nullable;
+		optional.isNullable = optionalNullable;
+		nullable.isOptional = optionalNullable;
+
+		const withDefault = defaultValue => createTypeCheckerVariants(checkType, Object.assign({}, descriptor, { default: defaultValue }));
+		optional.default = defaultValue => withDefault(defaultValue).isOptional;
+		optionalNullable.default = defaultValue => withDefault(defaultValue).isOptional.isNullable;
+
+		return required;
+	}
+
+	function createChainableTypeChecker(validate, expectedType, descriptor, methods) {
+		function checkType(isOptional, isNullable, props, propName, componentName, location, propFullName, context) {
 			componentName = componentName || ANONYMOUS;
 			propFullName = propFullName || propName;
+			context = context || createContext(propName);
 
-			if (props[propName] == null) {
-				if (isRequired) {
-					if (props[propName] === null) {
-						return new InternalTypeError('The ' + location + ' `' + propFullName + '` is marked as required ' + ('in `' + componentName + '`, but its value is `null`.'));
-					}
-					return new InternalTypeError('The ' + location + ' `' + propFullName + '` is marked as required in ' + ('`' + componentName + '`, but its value is `undefined`.'));
-				}
+			const propValue = props[propName];
+			if (propValue === undefined && !isOptional) {
+				const marker = isNullable ? 'required (nullable)' : 'required';
+				return new InternalTypeError('The ' + location + ' `' + propFullName + '` is marked as ' + marker + ' in ' + ('`' + componentName + '`, but its value is `undefined`.'), createErrorData(context, expectedType, 'undefined', propValue));
+			}
+			if (propValue === null && !isNullable) {
+				const marker = isOptional ? 'optional (not nullable)' : 'required';
+				return new InternalTypeError('The ' + location + ' `' + propFullName + '` is marked as ' + marker + ' ' + ('in `' + componentName + '`, but its value is `null`.'), createErrorData(context, expectedType, 'null', propValue));
+			}
+			if (propValue == null) {
 				return null;
-			} else {
-				return validate(props, propName, componentName, location, propFullName);
 			}
+			return validate(props, propName, componentName, location, propFullName, context);
 		}
 
 		// assume instance is required by default
-		const chainedCheckType = checkType.bind(null, true);
-		chainedCheckType.isOptional = checkType.bind(null, false);
+		return createTypeCheckerVariants(checkType, descriptor, methods);
+	}
 
-		return chainedCheckType;
+	/**
+	 * Checks `constraints` on values that already passed `validate`, reporting
+	 * the first one that fails. Every refinement method on the returned checker
+	 * creates a new checker with one more constraint, so they chain, on the
+	 * `.isOptional` and `.isNullable` variants as well.
+	 */
+	function createRefinedTypeChecker(validate, expectedType, descriptor, refinements, constraints) {
+		function validateConstraints(props, propName, componentName, location, propFullName, context) {
+			const result = validate(props, propName, componentName, location, propFullName, context);
+			return whenSettled([result], ([error]) => {
+				if (error) {
+					return error;
+				}
+				const propValue = props[propName];
+				for (const constraint of constraints) {
+					if (!constraint.test(propValue)) {
+						const explanation = constraint.explain ? constraint.explain(propValue) : '';
+						return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of value `' + formatPropValue(propValue, context) + '` ' + ('supplied to `' + componentName + '`, expected ' + constraint.expected + explanation + '.'), createErrorData(context, expectedType, getPreciseType(propValue), propValue));
+					}
+				}
+				return null;
+			});
+		}
+
+		const methods = {};
+		for (const name of Object.keys(refinements)) {
+			methods[name] = (...args) => createRefinedTypeChecker(validate, expectedType, descriptor, refinements, constraints.concat(refinements[name](...args)));
+		}
+		return createChainableTypeChecker(validateConstraints, expectedType, Object.assign({}, descriptor, {
+			constraints: constraints.map(constraint => ({ name: constraint.name, args: constraint.args })),
+		}), methods);
 	}
 
-	function createPrimitiveTypeChecker(expectedType) {
-		function validate(props, propName, componentName, location, propFullName, secret) {
+	function createPrimitiveTypeChecker(expectedType, refinements) {
+		function validate(props, propName, componentName, location, propFullName, context) {
 			const propValue = props[propName];
 			const propType = getPropType(propValue);
 			if (propType !== expectedType) {
@@ -118,19 +510,22 @@ module.exports = function() {
 				// 'of type `object`'.
 				const preciseType = getPreciseType(propValue);
 
-				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of type ' + ('`' + preciseType + '` supplied to `' + componentName + '`, expected ') + ('`' + expectedType + '`.'));
+				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of type ' + ('`' + preciseType + '` supplied to `' + componentName + '`, expected ') + ('`' + expectedType + '`.'), createErrorData(context, expectedType, preciseType, propValue));
 			}
 			return null;
 		}
-		return createChainableTypeChecker(validate);
+		if (refinements) {
+			return createRefinedTypeChecker(validate, expectedType, { kind: expectedType }, refinements, []);
+		}
+		return createChainableTypeChecker(validate, expectedType, { kind: expectedType });
 	}
 
 	function createAnyTypeChecker() {
-		return createChainableTypeChecker(emptyFunctionThatReturnsNull);
+		return createChainableTypeChecker(emptyFunctionThatReturnsNull, 'any', { kind: 'any' });
 	}
 
 	function createArrayOfTypeChecker(typeChecker) {
-		function validate(props, propName, componentName, location, propFullName) {
+		function validate(props, propName, componentName, location, propFullName, context) {
 			if (typeof typeChecker !== 'function') {
 				return new InternalTypeError('Property `' + propFullName + '` of component `' + componentName + '` has invalid PropType notation inside arrayOf.');
 			}
@@ -138,30 +533,100 @@ module.exports = function() {
 
 			if (!Array.isArray(propValue)) {
 				const propType = getPropType(propValue);
-				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of type ' + ('`' + propType + '` supplied to `' + componentName + '`, expected an array.'));
+				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of type ' + ('`' + propType + '` supplied to `' + componentName + '`, expected an array.'), createErrorData(context, 'array', propType, propValue));
 			}
 
+			context = withAncestor(context, propValue, propFullName);
+			const errors = [];
 			for (let i = 0; i < propValue.length; i++) {
-				const error = typeChecker(propValue, i, componentName, location, propFullName + '[' + i + ']');
-				if (error instanceof Error) {
+				const error = typeChecker(propValue, i, componentName, location, propFullName + '[' + i + ']', childContext(context, i));
+				if (isThenable(error)) {
+					errors.push(error);
+				} else if (error instanceof Error) {
+					if (!context.collect) {
+						return settleFirstError(errors.concat(error));
+					}
+					errors.push(error);
+				}
+			}
+			return combineErrors(errors);
+		}
+		return createRefinedTypeChecker(validate, 'array', { kind: 'arrayOf', type: typeChecker }, arrayRefinements, []);
+	}
+
+	function createTupleTypeChecker(typeCheckers, options = {}) {
+		if (!Array.isArray(typeCheckers)) {
+			printWarning('Invalid argument supplied to tuple, expected an instance of array.');
+			return emptyFunctionThatReturnsNull;
+		}
+
+		for (let i = 0; i < typeCheckers.length; i++) {
+			const checker = typeCheckers[i];
+			if (typeof checker !== 'function') {
+				printWarning(
+					'Invalid argument supplied to tuple. Expected an array of check functions, but ' +
+					'received ' + getPostfixForTypeWarning(checker) + ' at index ' + i + '.'
+				);
+				return emptyFunctionThatReturnsNull;
+			}
+		}
+
+		const restChecker = options.rest || null;
+		if (restChecker !== null && typeof restChecker !== 'function') {
+			printWarning('Invalid `rest` option supplied to tuple, expected a check function, but received ' + getPostfixForTypeWarning(restChecker) + '.');
+			return emptyFunctionThatReturnsNull;
+		}
+
+		function validate(props, propName, componentName, location, propFullName, context) {
+			const propValue = props[propName];
+
+			if (!Array.isArray(propValue)) {
+				const propType = getPropType(propValue);
+				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of type ' + ('`' + propType + '` supplied to `' + componentName + '`, expected an array.'), createErrorData(context, 'array', propType, propValue));
+			}
+
+			context = withAncestor(context, propValue, propFullName);
+			const errors = [];
+			if (restChecker ? propValue.length < typeCheckers.length : propValue.length !== typeCheckers.length) {
+				const expectedLength = (restChecker ? 'at least ' : '') + typeCheckers.length + (typeCheckers.length === 1 ? ' item' : ' items');
+				const error = new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of length `' + propValue.length + '` supplied to `' + componentName + '`, expected a tuple of ' + expectedLength + '.', createErrorData(context, 'tuple', 'array', propValue));
+				if (!context.collect) {
 					return error;
 				}
+				errors.push(error);
 			}
-			return null;
+
+			for (let i = 0; i < propValue.length; i++) {
+				const checker = i < typeCheckers.length ? typeCheckers[i] : restChecker;
+				// items past the end of a tuple without rest are already reported
+				if (!checker) {
+					break;
+				}
+				const error = checker(propValue, i, componentName, location, propFullName + '[' + i + ']', childContext(context, i));
+				if (isThenable(error)) {
+					errors.push(error);
+				} else if (error instanceof Error) {
+					if (!context.collect) {
+						return settleFirstError(errors.concat(error));
+					}
+					errors.push(error);
+				}
+			}
+			return combineErrors(errors);
 		}
-		return createChainableTypeChecker(validate);
+		return createChainableTypeChecker(validate, 'tuple', { kind: 'tuple', types: typeCheckers.slice(), rest: restChecker });
 	}
 
 	function createInstanceTypeChecker(expectedClass) {
-		function validate(props, propName, componentName, location, propFullName) {
+		function validate(props, propName, componentName, location, propFullName, context) {
 			if (!(props[propName] instanceof expectedClass)) {
 				const expectedClassName = expectedClass.name || ANONYMOUS;
 				const actualClassName = getClassName(props[propName]);
-				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of type ' + ('`' + actualClassName + '` supplied to `' + componentName + '`, expected ') + ('instance of `' + expectedClassName + '`.'));
+				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of type ' + ('`' + actualClassName + '` supplied to `' + componentName + '`, expected ') + ('instance of `' + expectedClassName + '`.'), createErrorData(context, expectedClassName, actualClassName, props[propName]));
 			}
 			return null;
 		}
-		return createChainableTypeChecker(validate);
+		return createChainableTypeChecker(validate, expectedClass.name || ANONYMOUS, { kind: 'instanceOf', expectedClass: expectedClass });
 	}
 
 	function createEnumTypeChecker(expectedValues) {
@@ -170,7 +635,7 @@ module.exports = function() {
 			return emptyFunctionThatReturnsNull;
 		}
 
-		function validate(props, propName, componentName, location, propFullName) {
+		function validate(props, propName, componentName, location, propFullName, context) {
 			const propValue = props[propName];
 			for (let i = 0; i < expectedValues.length; i++) {
 				if (Object.is(propValue, expectedValues[i])) {
@@ -178,33 +643,128 @@ module.exports = function() {
 				}
 			}
 
-			const valuesString = JSON.stringify(expectedValues);
-			return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of value `' + propValue + '` ' + ('supplied to `' + componentName + '`, expected one of ' + valuesString + '.'));
+			const valuesString = formatList(expectedValues);
+			return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of value `' + formatPropValue(propValue, context) + '` ' + ('supplied to `' + componentName + '`, expected one of ' + valuesString + '.'), createErrorData(context, 'enum', getPreciseType(propValue), propValue));
 		}
-		return createChainableTypeChecker(validate);
+		return createChainableTypeChecker(validate, 'enum', { kind: 'oneOf', values: expectedValues.slice() });
 	}
 
 	function createObjectOfTypeChecker(typeChecker) {
-		function validate(props, propName, componentName, location, propFullName) {
+		function validate(props, propName, componentName, location, propFullName, context) {
 			if (typeof typeChecker !== 'function') {
 				return new InternalTypeError('Property `' + propFullName + '` of component `' + componentName + '` has invalid PropType notation inside objectOf.');
 			}
 			const propValue = props[propName];
 			const propType = getPropType(propValue);
 			if (propType !== 'object') {
-				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of type ' + ('`' + propType + '` supplied to `' + componentName + '`, expected an object.'));
+				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of type ' + ('`' + propType + '` supplied to `' + componentName + '`, expected an object.'), createErrorData(context, 'object', propType, propValue));
 			}
+			context = withAncestor(context, propValue, propFullName);
+			const errors = [];
 			for (const key in propValue) {
 				if (has(propValue, key)) {
-					const error = typeChecker(propValue, key, componentName, location, propFullName + '.' + key);
-					if (error instanceof Error) {
-						return error;
+					const error = typeChecker(propValue, key, componentName, location, propFullName + '.' + key, childContext(context, key));
+					if (isThenable(error)) {
+						errors.push(error);
+					} else if (error instanceof Error) {
+						if (!context.collect) {
+							return settleFirstError(errors.concat(error));
+						}
+						errors.push(error);
 					}
 				}
 			}
-			return null;
+			return combineErrors(errors);
+		}
+		return createChainableTypeChecker(validate, 'object', { kind: 'objectOf', type: typeChecker });
+	}
+
+	// Checks each item of an iterable as `propFullName[i]`.
+	function checkIteratorItems(iterable, typeChecker, componentName, location, propFullName, context) {
+		const iterator = getIteratorFn(iterable).call(iterable);
+		const errors = [];
+		let step;
+		for (let i = 0; !(step = iterator.next()).done; i++) {
+			const error = typeChecker([step.value], 0, componentName, location, propFullName + '[' + i + ']', childContext(context, i));
+			if (isThenable(error)) {
+				errors.push(error);
+			} else if (error instanceof Error) {
+				if (!context.collect) {
+					return settleFirstError(errors.concat(error));
+				}
+				errors.push(error);
+			}
+		}
+		return combineErrors(errors);
+	}
+
+	function createMapOfTypeChecker(keyChecker, valueChecker) {
+		function validate(props, propName, componentName, location, propFullName, context) {
+			if (typeof keyChecker !== 'function' || typeof valueChecker !== 'function') {
+				return new InternalTypeError('Property `' + propFullName + '` of component `' + componentName + '` has invalid PropType notation inside mapOf.');
+			}
+			const propValue = props[propName];
+			if (!(propValue instanceof Map)) {
+				const propType = getPropType(propValue);
+				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of type ' + ('`' + propType + '` supplied to `' + componentName + '`, expected a Map.'), createErrorData(context, 'Map', propType, propValue));
+			}
+			context = withAncestor(context, propValue, propFullName);
+			const errors = [];
+			for (const entry of propValue) {
+				// entries are named after their key, e.g. `cache<Map>[key "abc"]`
+				const entryName = propFullName + '<Map>[key ' + formatValue(entry[0], formatOptions) + ']';
+				const entryContext = childContext(context, entry[0]);
+				const results = [
+					keyChecker(entry, 0, componentName, location, entryName + '<key>', entryContext),
+					valueChecker(entry, 1, componentName, location, entryName, entryContext),
+				];
+				for (const error of results) {
+					if (isThenable(error)) {
+						errors.push(error);
+					} else if (error instanceof Error) {
+						if (!context.collect) {
+							return settleFirstError(errors.concat(error));
+						}
+						errors.push(error);
+					}
+				}
+			}
+			return combineErrors(errors);
 		}
-		return createChainableTypeChecker(validate);
+		return createChainableTypeChecker(validate, 'Map', { kind: 'mapOf', keyType: keyChecker, valueType: valueChecker });
+	}
+
+	function createSetOfTypeChecker(typeChecker) {
+		function validate(props, propName, componentName, location, propFullName, context) {
+			if (typeof typeChecker !== 'function') {
+				return new InternalTypeError('Property `' + propFullName + '` of component `' + componentName + '` has invalid PropType notation inside setOf.');
+			}
+			const propValue = props[propName];
+			if (!(propValue instanceof Set)) {
+				const propType = getPropType(propValue);
+				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of type ' + ('`' + propType + '` supplied to `' + componentName + '`, expected a Set.'), createErrorData(context, 'Set', propType, propValue));
+			}
+			context = withAncestor(context, propValue, propFullName);
+			return checkIteratorItems(propValue, typeChecker, componentName, location, propFullName + '<Set>', context);
+		}
+		return createChainableTypeChecker(validate, 'Set', { kind: 'setOf', type: typeChecker });
+	}
+
+	function createIterableOfTypeChecker(typeChecker) {
+		function validate(props, propName, componentName, location, propFullName, context) {
+			if (typeof typeChecker !== 'function') {
+				return new InternalTypeError('Property `' + propFullName + '` of component `' + componentName + '` has invalid PropType notation inside iterableOf.');
+			}
+			const propValue = props[propName];
+			// strings are iterable too, but are never meant as a collection here
+			if (propValue === null || typeof propValue !== 'object' || !getIteratorFn(propValue)) {
+				const propType = getPropType(propValue);
+				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of type ' + ('`' + propType + '` supplied to `' + componentName + '`, expected an iterable.'), createErrorData(context, 'iterable', propType, propValue));
+			}
+			context = withAncestor(context, propValue, propFullName);
+			return checkIteratorItems(propValue, typeChecker, componentName, location, propFullName + '<Iterable>', context);
+		}
+		return createChainableTypeChecker(validate, 'iterable', { kind: 'iterableOf', type: typeChecker });
 	}
 
 	function createUnionTypeChecker(arrayOfTypeCheckers) {
@@ -224,79 +784,350 @@ module.exports = function() {
 			}
 		}
 
-		function validate(props, propName, componentName, location, propFullName) {
+		function validate(props, propName, componentName, location, propFullName, context) {
+			// A branch only needs to report whether it matched: collecting all of
+			// its failures is too expensive (see `InternalTypeError`), so the
+			// first failure of each branch explains why it was rejected.
+			const branchContext = Object.assign({}, context, { collect: false });
+			const errors = [];
 			for (let i = 0; i < arrayOfTypeCheckers.length; i++) {
 				const checker = arrayOfTypeCheckers[i];
-				if (checker(props, propName, componentName, location, propFullName) == null) {
+				const error = checker(props, propName, componentName, location, propFullName, branchContext);
+				if (error == null) {
+					// the value is valid whatever the pending branches settle to
+					errors.filter(isThenable).forEach(ignoreRejection);
+					return null;
+				}
+				errors.push(error);
+			}
+			// async branches may still match
+			return whenSettled(errors, settled => {
+				if (settled.some(error => error == null)) {
 					return null;
 				}
+				return createUnionError(settled, props, propName, componentName, location, propFullName, context);
+			});
+		}
+
+		function createUnionError(errors, props, propName, componentName, location, propFullName, context) {
+			const branches = errors.map((error, index) => ({ index, errors: error ? error.errors || [error] : [] }));
+			branches.sort(compareUnionBranches);
+
+			const reasons = branches.map((branch, i) => {
+				const more = branch.errors.length > 1 ? ' (and ' + (branch.errors.length - 1) + ' more)' : '';
+				const reason = branch.errors.length ? branch.errors[0].message + more : 'no reason given.';
+				return '\n  - ' + (i === 0 ? 'closest, ' : '') + 'branch ' + branch.index + ': ' + reason.replace(/\n/g, '\n    ');
+			});
+
+			return new InternalTypeError(
+				'Invalid ' + location + ' `' + propFullName + '` supplied to ' + ('`' + componentName + '`.') +
+				' No type in oneOfType matched:' + reasons.join(''),
+				createErrorData(context, 'union', getPreciseType(props[propName]), props[propName])
+			);
+		}
+		return createChainableTypeChecker(validate, 'union', { kind: 'oneOfType', types: arrayOfTypeCheckers.slice() });
+	}
+
+	function createDiscriminatedUnionTypeChecker(tagName, typeCheckersByTag) {
+		if (getPropType(typeCheckersByTag) !== 'object') {
+			printWarning('Invalid argument supplied to discriminatedUnion, expected an object of check functions keyed by tag.');
+			return emptyFunctionThatReturnsNull;
+		}
+
+		const tags = Object.keys(typeCheckersByTag);
+		for (const tag of tags) {
+			const checker = typeCheckersByTag[tag];
+			if (typeof checker !== 'function') {
+				printWarning(
+					'Invalid argument supplied to discriminatedUnion. Expected an object of check functions, but ' +
+					'received ' + getPostfixForTypeWarning(checker) + ' for tag `' + tag + '`.'
+				);
+				return emptyFunctionThatReturnsNull;
+			}
+			// an `exact` branch rejects the tag as an unknown key unless it declares it
+			const descriptor = describeType(checker);
+			if (descriptor && descriptor.kind === 'exact' && !(has(descriptor.fields, tagName) && descriptor.fields[tagName])) {
+				printWarning(
+					'Invalid argument supplied to discriminatedUnion. The `exact` type for tag `' + tag + '` ' +
+					'must declare the `' + tagName + '` key.'
+				);
+				return emptyFunctionThatReturnsNull;
+			}
+		}
+
+		function validate(props, propName, componentName, location, propFullName, context) {
+			const propValue = props[propName];
+			const propType = getPropType(propValue);
+			if (propType !== 'object') {
+				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of type `' + propType + '` ' + ('supplied to `' + componentName + '`, expected `object`.'), createErrorData(context, 'object', propType, propValue));
+			}
+
+			const tag = propValue[tagName];
+			if (!has(typeCheckersByTag, tag)) {
+				const tagContext = childContext(context, tagName);
+				return new InternalTypeError(
+					'Invalid ' + location + ' `' + propFullName + '.' + tagName + '` of value `' + formatPropValue(tag, tagContext) + '` ' +
+					('supplied to `' + componentName + '`, expected one of ' + formatList(tags) + '.'),
+					createErrorData(tagContext, 'enum', getPreciseType(tag), tag)
+				);
+			}
+			return typeCheckersByTag[tag](props, propName, componentName, location, propFullName, context);
+		}
+		return createChainableTypeChecker(validate, 'union', { kind: 'discriminatedUnion', tag: tagName, types: Object.assign({}, typeCheckersByTag) });
+	}
+
+	/**
+	 * Defers creating a checker until a value is checked, so that specs can
+	 * refer to themselves, e.g. `const Node = shape({ children: arrayOf(lazy(() => Node)) })`.
+	 * Values containing themselves are reported rather than checked forever.
+	 *
+	 * @param {function} getTypeChecker Returns the checker, called once
+	 */
+	function createLazyTypeChecker(getTypeChecker) {
+		if (typeof getTypeChecker !== 'function') {
+			printWarning('Invalid argument supplied to lazy, expected a function returning a type checker.');
+			return emptyFunctionThatReturnsNull;
+		}
+
+		let typeChecker = null;
+		function resolve() {
+			if (!typeChecker) {
+				typeChecker = getTypeChecker();
+			}
+			return typeChecker;
+		}
+
+		function validate(props, propName, componentName, location, propFullName, context) {
+			if (typeof resolve() !== 'function') {
+				typeChecker = null;
+				return new InternalTypeError('Property `' + propFullName + '` of component `' + componentName + '` has invalid PropType notation inside lazy.');
+			}
+			const propValue = props[propName];
+			const ancestor = typeof propValue === 'object' ? findAncestor(context, propValue) : null;
+			if (ancestor) {
+				return new InternalTypeError(
+					'Invalid ' + location + ' `' + propFullName + '` supplied to `' + componentName + '`, ' +
+					'the value is cyclic: it is the same object as `' + ancestor.propFullName + '`.',
+					createErrorData(context, 'acyclic', 'cyclic', propValue)
+				);
+			}
+			return typeChecker(props, propName, componentName, location, propFullName, context);
+		}
+		return createChainableTypeChecker(validate, 'lazy', { kind: 'lazy', resolve: resolve });
+	}
+
+	/**
+	 * Orders failed oneOfType branches from the closest match to the furthest.
+	 * A branch that failed deeper inside the value got further through it (the
+	 * keys of a shape matched, say), and fewer failures break ties.
+	 */
+	function compareUnionBranches(a, b) {
+		const depth = branch => Math.max(0, ...branch.errors.map(error => (error.data && error.data.path || []).length));
+		return depth(b) - depth(a) || a.errors.length - b.errors.length || a.index - b.index;
+	}
+
+	/**
+	 * Builds a checker for a team-specific type from a predicate, with the same
+	 * required/`.isOptional` handling and messages as the built-in checkers.
+	 *
+	 * @param {string} name Type name used in error details
+	 * @param {function} predicate Returns whether a (non-null) value is valid
+	 * @param {?string|function} describeExpected What the value is expected to
+	 * be, e.g. "a port number", or a function of the value returning that.
+	 * Defaults to the type name.
+	 */
+	function createCustomTypeChecker(name, predicate, describeExpected) {
+		if (typeof predicate !== 'function') {
+			printWarning('Invalid argument supplied to createChecker, expected a predicate function.');
+			return emptyFunctionThatReturnsNull;
+		}
+
+		function validate(props, propName, componentName, location, propFullName, context) {
+			const propValue = props[propName];
+			if (!predicate(propValue)) {
+				const preciseType = getPreciseType(propValue);
+				const expected = typeof describeExpected === 'function'
+					? describeExpected(propValue)
+					: describeExpected || '`' + name + '`';
+				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of type ' + ('`' + preciseType + '` supplied to `' + componentName + '`, expected ') + expected + '.', createErrorData(context, name, preciseType, propValue));
 			}
+			return null;
+		}
+		return createChainableTypeChecker(validate, name, { kind: 'custom', name: name });
+	}
 
-			return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` supplied to ' + ('`' + componentName + '`.'));
+	/**
+	 * Builds a checker that, once a value passed `typeChecker`, checks it with
+	 * an async predicate such as a lookup in a store. Its result is a Promise,
+	 * so it can only be checked with `checkPropTypesAsync`. Like every checker
+	 * it requires a value unless marked `.isOptional`.
+	 *
+	 * @param {function} typeChecker Checker the value must pass first
+	 * @param {function} predicate Returns whether a value is valid, or a
+	 * Promise resolving to that
+	 * @param {?string|function} describeExpected What the value is expected to
+	 * be, e.g. "an existing user id", or a function of the value returning
+	 * that. Defaults to the name of the predicate.
+	 */
+	function createAsyncRefinedTypeChecker(typeChecker, predicate, describeExpected) {
+		if (typeof typeChecker !== 'function' || typeof predicate !== 'function') {
+			printWarning('Invalid arguments supplied to asyncRefine, expected a type checker and a predicate function.');
+			return emptyFunctionThatReturnsNull;
 		}
-		return createChainableTypeChecker(validate);
+
+		const baseDescriptor = describeType(typeChecker) || { kind: 'any' };
+		const name = predicate.name || 'asyncRefine';
+
+		function validate(props, propName, componentName, location, propFullName, context) {
+			const result = typeChecker(props, propName, componentName, location, propFullName, context);
+			return whenSettled([result], ([error]) => {
+				if (error) {
+					return error;
+				}
+				const propValue = props[propName];
+				return Promise.resolve(predicate(propValue)).then(isValid => {
+					if (isValid) {
+						return null;
+					}
+					const expected = typeof describeExpected === 'function'
+						? describeExpected(propValue)
+						: describeExpected || 'a value passing `' + name + '`';
+					return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of value `' + formatPropValue(propValue, context) + '` ' + ('supplied to `' + componentName + '`, expected ') + expected + '.', createErrorData(context, baseDescriptor.kind, getPreciseType(propValue), propValue));
+				});
+			});
+		}
+
+		const descriptor = Object.assign({}, baseDescriptor, {
+			constraints: (baseDescriptor.constraints || []).concat({ name: 'asyncRefine', args: [predicate] }),
+		});
+		delete descriptor.optional;
+		delete descriptor.nullable;
+		delete descriptor.default;
+		return createChainableTypeChecker(validate, baseDescriptor.kind, descriptor);
 	}
 
 	function createNodeChecker() {
-		function validate(props, propName, componentName, location, propFullName) {
+		function validate(props, propName, componentName, location, propFullName, context) {
 			if (!isNode(props[propName])) {
-				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` supplied to ' + ('`' + componentName + '`, expected a ReactNode.'));
+				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` supplied to ' + ('`' + componentName + '`, expected a ReactNode.'), createErrorData(context, 'node', getPreciseType(props[propName]), props[propName]));
 			}
 			return null;
 		}
-		return createChainableTypeChecker(validate);
+		return createChainableTypeChecker(validate, 'node', { kind: 'node' });
+	}
+
+	/**
+	 * In verbose mode, appends the expected type of the innermost shape around
+	 * each failure to its message, e.g. "Expected `user` to be { id: number }".
+	 */
+	function withTypeSignature(validate, shapeTypes) {
+		if (!options.verbose) {
+			return validate;
+		}
+		return function(props, propName, componentName, location, propFullName, context) {
+			const result = validate(props, propName, componentName, location, propFullName, context);
+			return whenSettled([result], ([error]) => {
+				if (error) {
+					const signature = stringify(shapeTypes, describeType);
+					for (const leaf of error.errors || [error]) {
+						if (!leaf.expectedSignature) {
+							leaf.expectedSignature = signature;
+							leaf.message += '\nExpected `' + (propFullName || propName) + '` to be ' + signature + '.';
+						}
+					}
+					if (error.errors) {
+						error.message = error.errors[0].message;
+					}
+				}
+				return error;
+			});
+		};
 	}
 
 	function createShapeTypeChecker(shapeTypes) {
-		function validate(props, propName, componentName, location, propFullName) {
+		function validate(props, propName, componentName, location, propFullName, context) {
 			const propValue = props[propName];
 			const propType = getPropType(propValue);
 			if (propType !== 'object') {
-				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of type `' + propType + '` ' + ('supplied to `' + componentName + '`, expected `object`.'));
+				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of type `' + propType + '` ' + ('supplied to `' + componentName + '`, expected `object`.'), createErrorData(context, 'object', propType, propValue));
 			}
+			context = withAncestor(context, propValue, propFullName);
+			const errors = [];
 			for (let key in shapeTypes) {
 				const checker = shapeTypes[key];
 				if (!checker) {
 					continue;
 				}
-				const error = checker(propValue, key, componentName, location, propFullName + '.' + key);
-				if (error) {
-					return error;
+				const error = checker(propValue, key, componentName, location, propFullName + '.' + key, childContext(context, key));
+				if (isThenable(error)) {
+					errors.push(error);
+				} else if (error) {
+					if (!context.collect) {
+						return settleFirstError(errors.concat(error));
+					}
+					errors.push(error);
 				}
 			}
-			return null;
+			return combineErrors(errors);
 		}
-		return createChainableTypeChecker(validate);
+		return createChainableTypeChecker(withTypeSignature(validate, shapeTypes), 'object', { kind: 'shape', fields: Object.assign({}, shapeTypes) });
 	}
 
 	function createStrictShapeTypeChecker(shapeTypes) {
-		function validate(props, propName, componentName, location, propFullName) {
+		function validate(props, propName, componentName, location, propFullName, context) {
 			const propValue = props[propName];
 			const propType = getPropType(propValue);
 			if (propType !== 'object') {
-				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of type `' + propType + '` ' + ('supplied to `' + componentName + '`, expected `object`.'));
+				return new InternalTypeError('Invalid ' + location + ' `' + propFullName + '` of type `' + propType + '` ' + ('supplied to `' + componentName + '`, expected `object`.'), createErrorData(context, 'object', propType, propValue));
 			}
-			// We need to check all keys in case some are required but missing from
-			// props.
-			const allKeys = Object.assign({}, props[propName], shapeTypes);
-			for (let key in allKeys) {
+			context = withAncestor(context, propValue, propFullName);
+			const errors = [];
+			const unknownKeys = Object.keys(propValue).filter(key => !(has(shapeTypes, key) && shapeTypes[key]));
+			if (unknownKeys.length > 0) {
+				const error = createUnknownKeysError(unknownKeys);
+				// in collect-all mode each key is reported at its own path
+				if (context.collect && unknownKeys.length > 1) {
+					error.errors = unknownKeys.map(key => createUnknownKeysError([key]));
+				}
+				if (!context.collect) {
+					return error;
+				}
+				errors.push(error);
+			}
+			for (let key in shapeTypes) {
 				const checker = shapeTypes[key];
 				if (!checker) {
-					return new InternalTypeError(
-						'Invalid ' + location + ' `' + propFullName + '` key `' + key + '` supplied to `' + componentName + '`.' +
-						'\nBad object: ' + JSON.stringify(props[propName], null, '  ') +
-						'\nValid keys: ' + JSON.stringify(Object.keys(shapeTypes), null, '  ')
-					);
+					continue;
 				}
-				const error = checker(propValue, key, componentName, location, propFullName + '.' + key);
-				if (error) {
-					return error;
+				const error = checker(propValue, key, componentName, location, propFullName + '.' + key, childContext(context, key));
+				if (isThenable(error)) {
+					errors.push(error);
+				} else if (error) {
+					if (!context.collect) {
+						return settleFirstError(errors.concat(error));
+					}
+					errors.push(error);
 				}
 			}
-			return null;
+			return combineErrors(errors);
+
+			function createUnknownKeysError(keys) {
+				const keyList = keys.map(key => {
+					const suggestion = getClosestKey(key, validKeys);
+					return '`' + key + '`' + (suggestion ? ' (did you mean `' + suggestion + '`?)' : '');
+				}).join(', ');
+				return new InternalTypeError(
+					'Invalid ' + location + ' `' + propFullName + '` ' + (keys.length === 1 ? 'key ' : 'keys ') + keyList + ' supplied to `' + componentName + '`.' +
+					'\nBad object: ' + formatValue(propValue, Object.assign({ path: context.path }, formatOptions)) +
+					'\nValid keys: ' + (validKeys.length > 0 ? validKeys.map(key => '`' + key + '`').join(', ') : 'none'),
+					createErrorData(childContext(context, keys[0]), 'undefined', getPreciseType(propValue[keys[0]]), propValue[keys[0]])
+				);
+			}
 		}
 
-		return createChainableTypeChecker(validate);
+		const validKeys = Object.keys(shapeTypes).filter(key => shapeTypes[key]);
+
+		return createChainableTypeChecker(withTypeSignature(validate, shapeTypes), 'object', { kind: 'exact', fields: Object.assign({}, shapeTypes) });
 	}
 
 	function isNode(propValue) {
@@ -417,6 +1248,64 @@ module.exports = function() {
 		}
 	}
 
+	/**
+	 * Number of single-character insertions, deletions, substitutions and
+	 * transpositions turning `a` into `b` (optimal string alignment distance).
+	 */
+	function getEditDistance(a, b) {
+		const distances = [];
+		for (let i = 0; i <= a.length; i++) {
+			distances.push([i]);
+		}
+		for (let j = 1; j <= b.length; j++) {
+			distances[0][j] = j;
+		}
+		for (let i = 1; i <= a.length; i++) {
+			for (let j = 1; j <= b.length; j++) {
+				const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+				distances[i][j] = Math.min(distances[i - 1][j] + 1, distances[i][j - 1] + 1, distances[i - 1][j - 1] + cost);
+				if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+					distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+				}
+			}
+		}
+		return distances[a.length][b.length];
+	}
+
+	// Returns the valid key closest to a misspelt one, if any is close enough.
+	function getClosestKey(key, validKeys) {
+		// fewer edits than the key has characters, so that unrelated short keys
+		// get no suggestion
+		const maxDistance = Math.min(Math.max(1, Math.floor(key.length / 3)), key.length - 1);
+		let closestKey = null;
+		let closestDistance = maxDistance + 1;
+		for (const validKey of validKeys) {
+			const distance = getEditDistance(key.toLowerCase(), validKey.toLowerCase());
+			if (distance < closestDistance) {
+				closestKey = validKey;
+				closestDistance = distance;
+			}
+		}
+		return closestKey;
+	}
+
+	const formatOptions = { redact: options.redact || null };
+
+	// Renders the value in "of value `...`" messages, leaving strings unquoted.
+	// The path of the value in `context` lets `redact` hide the value itself.
+	function formatPropValue(value, context) {
+		return formatValue(value, Object.assign({ quoteStrings: false, path: context.path }, formatOptions));
+	}
+
+	// Renders the expected values of a checker, which are never truncated.
+	function formatList(values) {
+		return formatValue(values, Object.assign({}, formatOptions, {
+			maxDepth: Infinity,
+			maxItems: Infinity,
+			maxStringLength: Infinity,
+		}));
+	}
+
 	// Returns class name of the object, if any.
 	function getClassName(propValue) {
 		if (!propValue.constructor || !propValue.constructor.name) {
@@ -426,7 +1315,19 @@ module.exports = function() {
 	}
 
 	PropTypes.checkPropTypes = checkPropTypes;
+	PropTypes.checkPropTypesAsync = checkPropTypesAsync;
 	PropTypes.checkValueType = checkValueType;
+	PropTypes.typed = typed;
+	PropTypes.validateAll = validateAll;
+	PropTypes.PropTypeError = PropTypeError;
+	PropTypes.reportedErrors = reporter.errors;
+	PropTypes.toJSONSchema = (typeSpec, options) => toJSONSchema(typeSpec, describeType, options);
+	PropTypes.fromJSONSchema = schema => fromJSONSchema(schema, PropTypes);
+	PropTypes.stringify = typeSpec => stringify(typeSpec, describeType);
+	PropTypes.generateDeclarations = specs => generateDeclarations(specs, describeType);
+	PropTypes.coerce = (typeSpec, values, location, componentName) => coerce(typeSpec, values, describeType, { checkPropTypes, checkValueType }, location, componentName);
+	PropTypes.applyDefaults = (typeSpec, values) => applyDefaults(typeSpec, values, describeType);
+	PropTypes.formatValue = (value, valueOptions) => formatValue(value, Object.assign({}, formatOptions, valueOptions));
 	PropTypes.PropTypes = PropTypes;
 
 	return PropTypes;
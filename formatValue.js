@@ -0,0 +1,163 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const { formatKey } = require('./utils');
+
+const DEFAULT_OPTIONS = {
+	maxDepth: 2,
+	maxItems: 5,
+	maxStringLength: 40,
+	quoteStrings: true,
+	redact: null,
+	path: [],
+};
+
+function formatString(value, options) {
+	const string = value.length > options.maxStringLength ? value.slice(0, options.maxStringLength) + '…' : value;
+	return options.quoteStrings ? JSON.stringify(string) : string;
+}
+
+function formatEntries(entries, total, options) {
+	if (total > options.maxItems) {
+		entries = entries.concat('… ' + (total - options.maxItems) + ' more');
+	}
+	return entries.join(', ');
+}
+
+// Reads a property that may be a getter, returning `null` if it throws.
+function readProperty(object, key) {
+	try {
+		return { value: object[key] };
+	} catch (e) {
+		return null;
+	}
+}
+
+// Name shown before objects that aren't plain, e.g. `Point { x: 1 }`.
+function getClassPrefix(value) {
+	const prototype = Object.getPrototypeOf(value);
+	if (prototype === null || prototype === Object.prototype) {
+		return '';
+	}
+	const name = prototype.constructor && prototype.constructor.name;
+	return name ? name + ' ' : '';
+}
+
+function formatObject(value, options, state) {
+	if (state.ancestors.indexOf(value) !== -1) {
+		return '[Circular]';
+	}
+	if (value instanceof Date) {
+		return isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+	}
+	if (value instanceof RegExp) {
+		return String(value);
+	}
+	if (value instanceof Error) {
+		return '[' + (value.name || 'Error') + ': ' + formatString(String(value.message), Object.assign({}, options, { quoteStrings: false })) + ']';
+	}
+
+	const isArray = Array.isArray(value);
+	const isMap = typeof Map === 'function' && value instanceof Map;
+	const isSet = typeof Set === 'function' && value instanceof Set;
+	const prefix = isArray ? '' : (isMap || isSet ? (isMap ? 'Map' : 'Set') + '(' + value.size + ') ' : getClassPrefix(value));
+	const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+	if (state.ancestors.length >= options.maxDepth) {
+		return prefix + open + '…' + close;
+	}
+
+	const child = (key, item) => formatAny(item, options, {
+		ancestors: state.ancestors.concat([value]),
+		path: state.path.concat(key),
+	}, key);
+
+	let entries;
+	let total;
+	if (isArray) {
+		total = value.length;
+		entries = value.slice(0, options.maxItems).map((item, index) => child(index, item));
+	} else if (isMap) {
+		total = value.size;
+		entries = Array.from(value).slice(0, options.maxItems).map(entry => {
+			const keyOptions = Object.assign({}, options, { quoteStrings: true, redact: null });
+			return formatAny(entry[0], keyOptions, state) + ' => ' + child(entry[0], entry[1]);
+		});
+	} else if (isSet) {
+		total = value.size;
+		entries = Array.from(value).slice(0, options.maxItems).map((item, index) => child(index, item));
+	} else {
+		const keys = Object.keys(value);
+		total = keys.length;
+		entries = keys.slice(0, options.maxItems).map(key => {
+			const property = readProperty(value, key);
+			return formatKey(key) + ': ' + (property ? child(key, property.value) : '[Getter threw]');
+		});
+	}
+
+	if (total === 0) {
+		return prefix + open + close;
+	}
+	const body = formatEntries(entries, total, options);
+	return isArray ? open + body + close : prefix + open + ' ' + body + ' ' + close;
+}
+
+function formatAny(value, options, state, key) {
+	if (options.redact && state.path.length > 0 && options.redact(key, value, state.path)) {
+		return '[redacted]';
+	}
+	switch (typeof value) {
+		case 'string':
+			// only the value itself can be left unquoted
+			return formatString(value, state.ancestors.length > 0 ? Object.assign({}, options, { quoteStrings: true }) : options);
+		case 'number':
+			return Object.is(value, -0) ? '-0' : String(value);
+		case 'bigint':
+			return value + 'n';
+		case 'symbol':
+			return value.toString();
+		case 'function':
+			return '[Function' + (value.name ? ' ' + value.name : '') + ']';
+		case 'object':
+			if (value === null) {
+				return 'null';
+			}
+			try {
+				return formatObject(value, options, state);
+			} catch (e) {
+				// e.g. a Proxy whose traps throw
+				return '[Unreadable object]';
+			}
+		default:
+			return String(value);
+	}
+}
+
+/**
+ * Renders any value for an error message without throwing: strings and
+ * collections are truncated, nested objects are cut off past `maxDepth`,
+ * cycles are marked as `[Circular]`, and symbols, BigInts and functions are
+ * supported.
+ *
+ * @param {*} value Value to render
+ * @param {object} options `maxDepth`, `maxItems` (per array or object) and
+ * `maxStringLength` limits; `quoteStrings: false` leaves a string value
+ * unquoted; `redact(key, value, path)` returns whether a value is sensitive
+ * and shown as `[redacted]`; `path` is the key path of the value itself, so
+ * that it can be redacted too, e.g. `['creds', 'password']`.
+ * @return {string}
+ */
+function formatValue(value, options) {
+	options = Object.assign({}, DEFAULT_OPTIONS, options);
+	const path = options.path;
+	return formatAny(value, options, { ancestors: [], path: path }, path[path.length - 1]);
+}
+
+module.exports = {
+	formatValue,
+};
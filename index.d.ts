@@ -0,0 +1,289 @@
+// Type definitions for @o3/prop-types
+//
+// Unlike React's prop-types, checkers require a value by default and
+// `.isOptional` makes it optional, which is reflected in `InferProps`.
+// `null` is only accepted by `.isNullable` checkers.
+
+/// <reference lib="es2015" />
+
+declare const nominalTypeHack: unique symbol;
+declare const optionalTypeHack: unique symbol;
+
+export type ValidationContext = {
+	collect: boolean;
+	path: Array<string | number>;
+};
+
+export interface TypeDescriptor {
+	readonly kind: string;
+	readonly optional: boolean;
+	readonly nullable: boolean;
+	readonly [key: string]: any;
+}
+
+export interface Validator<T> {
+	(
+		props: { [key: string]: any },
+		propName: string,
+		componentName: string,
+		location: string,
+		propFullName: string | null,
+		context?: ValidationContext,
+	): Error | null | Promise<Error | null>;
+	describe(): TypeDescriptor;
+	[nominalTypeHack]?: {
+		type: T;
+	};
+}
+
+/** Checker produced by `.isOptional`, accepting a missing value. */
+export interface OptionalValidator<T> extends Validator<T | undefined> {
+	[optionalTypeHack]: true;
+	isNullable: OptionalNullableValidator<T>;
+	/** Value used by `applyDefaults` when missing, or a function returning it. */
+	default(value: T | (() => T)): OptionalValidator<T>;
+}
+
+/** Checker produced by `.isNullable`, requiring a value that may be `null`. */
+export interface NullableValidator<T> extends Validator<T | null> {
+	isOptional: OptionalNullableValidator<T>;
+}
+
+/** Checker produced by `.isOptional.isNullable`, accepting `null` or a missing value. */
+export interface OptionalNullableValidator<T> extends Validator<T | null | undefined> {
+	[optionalTypeHack]: true;
+	default(value: T | null | (() => T | null)): OptionalNullableValidator<T>;
+}
+
+/** Checker requiring a value, as every checker does by default. */
+export interface Checker<T> extends Validator<T> {
+	isOptional: OptionalValidator<T>;
+	isNullable: NullableValidator<T>;
+}
+
+// Refinement methods are available on the `.isOptional` and `.isNullable`
+// variants as well, and keep the optionality of the checker they refine.
+interface NumberRefinements<Self> {
+	min(min: number): Self;
+	max(max: number): Self;
+	integer(): Self;
+	finite(): Self;
+	safeInteger(): Self;
+}
+
+export interface NumberChecker extends Checker<number>, NumberRefinements<NumberChecker> {
+	isOptional: OptionalNumberChecker;
+	isNullable: NullableNumberChecker;
+}
+export interface OptionalNumberChecker extends OptionalValidator<number>, NumberRefinements<OptionalNumberChecker> {
+	isNullable: OptionalNullableNumberChecker;
+}
+export interface NullableNumberChecker extends NullableValidator<number>, NumberRefinements<NullableNumberChecker> {
+	isOptional: OptionalNullableNumberChecker;
+}
+export interface OptionalNullableNumberChecker
+	extends OptionalNullableValidator<number>, NumberRefinements<OptionalNullableNumberChecker> {}
+
+export type StringFormat = 'email' | 'uuid' | 'date' | 'date-time' | 'url' | 'hex-color';
+
+interface StringRefinements<Self> {
+	matches(pattern: RegExp): Self;
+	minLength(length: number): Self;
+	maxLength(length: number): Self;
+	nonEmpty(): Self;
+	format(format: StringFormat): Self;
+}
+
+export interface StringChecker extends Checker<string>, StringRefinements<StringChecker> {
+	isOptional: OptionalStringChecker;
+	isNullable: NullableStringChecker;
+}
+export interface OptionalStringChecker extends OptionalValidator<string>, StringRefinements<OptionalStringChecker> {
+	isNullable: OptionalNullableStringChecker;
+}
+export interface NullableStringChecker extends NullableValidator<string>, StringRefinements<NullableStringChecker> {
+	isOptional: OptionalNullableStringChecker;
+}
+export interface OptionalNullableStringChecker
+	extends OptionalNullableValidator<string>, StringRefinements<OptionalNullableStringChecker> {}
+
+interface ArrayRefinements<T, Self> {
+	minItems(count: number): Self;
+	maxItems(count: number): Self;
+	nonEmpty(): Self;
+	/** Rejects arrays with equal items, or items with equal keys given `getKey`. */
+	unique(getKey?: (item: T, index: number) => any): Self;
+}
+
+export interface ArrayOfChecker<T> extends Checker<T[]>, ArrayRefinements<T, ArrayOfChecker<T>> {
+	isOptional: OptionalArrayOfChecker<T>;
+	isNullable: NullableArrayOfChecker<T>;
+}
+export interface OptionalArrayOfChecker<T> extends OptionalValidator<T[]>, ArrayRefinements<T, OptionalArrayOfChecker<T>> {
+	isNullable: OptionalNullableArrayOfChecker<T>;
+}
+export interface NullableArrayOfChecker<T> extends NullableValidator<T[]>, ArrayRefinements<T, NullableArrayOfChecker<T>> {
+	isOptional: OptionalNullableArrayOfChecker<T>;
+}
+export interface OptionalNullableArrayOfChecker<T>
+	extends OptionalNullableValidator<T[]>, ArrayRefinements<T, OptionalNullableArrayOfChecker<T>> {}
+
+export type ValidationMap<T = any> = { [K in keyof T]?: Validator<T[K]> };
+
+export type InferType<V> = V extends Validator<infer T> ? T : any;
+
+type RequiredKeys<V> = { [K in keyof V]-?: V[K] extends { [optionalTypeHack]: true } ? never : K }[keyof V];
+type OptionalKeys<V> = Exclude<keyof V, RequiredKeys<V>>;
+
+type InferPropsInner<V> =
+	& { [K in RequiredKeys<V>]: InferType<V[K]> }
+	& { [K in OptionalKeys<V>]?: InferType<V[K]> };
+
+/** Static type of the values accepted by an object of checkers. */
+export type InferProps<V> = { [K in keyof InferPropsInner<V>]: InferPropsInner<V>[K] };
+
+type Literal = string | number | boolean | bigint | symbol | null | undefined;
+
+export const array: Checker<any[]>;
+export const bool: Checker<boolean>;
+export const func: Checker<(...args: any[]) => any>;
+export const number: NumberChecker;
+export const object: Checker<object>;
+export const string: StringChecker;
+export const symbol: Checker<symbol>;
+export const any: Checker<any>;
+
+export const integer: NumberChecker;
+export const finite: NumberChecker;
+export const safeInteger: NumberChecker;
+
+export function arrayOf<T>(type: Validator<T>): ArrayOfChecker<T>;
+type InferTuple<T extends Validator<any>[]> = { [K in keyof T]: InferType<T[K]> };
+
+export function tuple<T extends Validator<any>[]>(types: [...T]): Checker<InferTuple<T>>;
+export function tuple<T extends Validator<any>[], R>(
+	types: [...T],
+	options: { rest: Validator<R> },
+): Checker<[...InferTuple<T>, ...R[]]>;
+export function instanceOf<T>(expectedClass: new (...args: any[]) => T): Checker<T>;
+export function objectOf<T>(type: Validator<T>): Checker<{ [key: string]: T }>;
+export function mapOf<K, V>(keyType: Validator<K>, valueType: Validator<V>): Checker<Map<K, V>>;
+export function setOf<T>(type: Validator<T>): Checker<Set<T>>;
+/** Checks every item of an iterable object; one-shot iterators such as generators are consumed. */
+export function iterableOf<T>(type: Validator<T>): Checker<Iterable<T>>;
+export function oneOf<T extends Literal>(values: ReadonlyArray<T>): Checker<T>;
+export function oneOf<T>(values: ReadonlyArray<T>): Checker<T>;
+export function oneOfType<T extends Validator<any>>(types: T[]): Checker<NonNullable<InferType<T>>>;
+export function discriminatedUnion<M extends { [tag: string]: Validator<any> }>(
+	tagName: string,
+	types: M,
+): Checker<NonNullable<InferType<M[keyof M]>>>;
+export function shape<P extends ValidationMap>(type: P): Checker<InferProps<P>>;
+export function exact<P extends ValidationMap>(type: P): Checker<InferProps<P>>;
+export function asyncRefine<T>(
+	typeChecker: Validator<T>,
+	predicate: (value: T) => boolean | Promise<boolean>,
+	describeExpected?: string | ((value: T) => string),
+): Checker<NonNullable<T>>;
+/**
+ * Checker created on first use, for recursive specs. TypeScript can't infer
+ * the type of a spec referring to itself, so annotate it, e.g.
+ * `const Node: Checker<TreeNode> = shape({ children: arrayOf(lazy(() => Node)) })`.
+ */
+export function lazy<T>(getTypeChecker: () => Validator<T>): Checker<NonNullable<T>>;
+export function createChecker<T = any>(
+	name: string,
+	predicate: ((value: any) => value is T) | ((value: any) => boolean),
+	describeExpected?: string | ((value: any) => string),
+): Checker<T>;
+
+export interface ValidationFailure {
+	path: Array<string | number>;
+	expected: string | undefined;
+	received: string | undefined;
+	message: string;
+}
+
+export class PropTypeError extends Error {
+	constructor(message: string, data?: Partial<Pick<PropTypeError, 'path' | 'expectedType' | 'actualType' | 'value' | 'location' | 'componentName'>>);
+	path: Array<string | number>;
+	expectedType: string | undefined;
+	actualType: string | undefined;
+	value: any;
+	location: string | undefined;
+	componentName: string | undefined;
+}
+
+/** Failures collected by the "collect" reporter, see `factoryWithTypeCheckers`. */
+export const reportedErrors: PropTypeError[];
+
+export function checkPropTypes(
+	typeSpecs: ValidationMap,
+	values: { [key: string]: any },
+	location?: string,
+	componentName?: string,
+): boolean;
+export function checkPropTypesAsync(
+	typeSpecs: ValidationMap,
+	values: { [key: string]: any },
+	location?: string,
+	componentName?: string,
+): Promise<boolean>;
+export function checkValueType(
+	value: any,
+	typeSpec: Validator<any>,
+	throws?: boolean,
+	location?: string,
+	componentName?: string,
+): boolean;
+export function validateAll(
+	typeSpecs: ValidationMap,
+	values: { [key: string]: any },
+	location?: string,
+	componentName?: string,
+): ValidationFailure[];
+export function typed<A extends any[], R>(
+	fn: (...args: A) => R,
+	argTypeSpecs?: Array<Validator<any>>,
+	returnTypeSpec?: Validator<any> | null,
+): (...args: A) => R;
+
+export type JSONSchema = { [keyword: string]: any };
+
+export function toJSONSchema(
+	typeSpec: Validator<any> | ValidationMap,
+	options?: { draft?: 'draft-07' | '2020-12' },
+): JSONSchema;
+export function fromJSONSchema(schema: JSONSchema): Checker<any>;
+export function stringify(typeSpec: Validator<any> | ValidationMap): string;
+export function generateDeclarations(specs: { [name: string]: any }): string;
+export function applyDefaults<V extends Validator<any>>(typeSpec: V, value: any): InferType<V>;
+export function applyDefaults<P extends ValidationMap>(typeSpecs: P, values: { [key: string]: any }): InferProps<P>;
+export function coerce<V extends Validator<any>>(
+	typeSpec: V,
+	value: any,
+	location?: string,
+	componentName?: string,
+): InferType<V>;
+export function coerce<P extends ValidationMap>(
+	typeSpecs: P,
+	values: { [key: string]: any },
+	location?: string,
+	componentName?: string,
+): InferProps<P>;
+
+export type RedactFunction = (key: string | number, value: any, path: Array<string | number>) => boolean;
+
+export interface FormatValueOptions {
+	maxDepth?: number;
+	maxItems?: number;
+	maxStringLength?: number;
+	quoteStrings?: boolean;
+	redact?: RedactFunction | null;
+	/** Key path of the value itself, so that `redact` can hide it too. */
+	path?: Array<string | number>;
+}
+
+export function formatValue(value: any, options?: FormatValueOptions): string;
+
+export const PropTypes: typeof import('./index');
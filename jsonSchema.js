@@ -0,0 +1,584 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const { has } = require('./utils');
+
+const SCHEMA_URIS = {
+	'draft-07': 'http://json-schema.org/draft-07/schema#',
+	'2020-12': 'https://json-schema.org/draft/2020-12/schema',
+};
+
+// `PropTypes.string.format()` names and their JSON Schema equivalents.
+const STRING_FORMATS = {
+	'email': { format: 'email' },
+	'uuid': { format: 'uuid' },
+	'date': { format: 'date' },
+	'date-time': { format: 'date-time' },
+	'url': { format: 'uri' },
+	'hex-color': { pattern: '^#([0-9a-fA-F]{3,4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$' },
+};
+
+function convertNumber(constraints) {
+	const schema = { type: 'number' };
+	for (const constraint of constraints) {
+		switch (constraint.name) {
+			case 'integer':
+				schema.type = 'integer';
+				break;
+			case 'safeInteger':
+				schema.type = 'integer';
+				schema.minimum = Number.MIN_SAFE_INTEGER;
+				schema.maximum = Number.MAX_SAFE_INTEGER;
+				break;
+			case 'min':
+				schema.minimum = constraint.args[0];
+				break;
+			case 'max':
+				schema.maximum = constraint.args[0];
+				break;
+			// JSON numbers are always finite
+		}
+	}
+	return schema;
+}
+
+function convertString(constraints) {
+	const schema = { type: 'string' };
+	for (const constraint of constraints) {
+		switch (constraint.name) {
+			case 'matches':
+				schema.pattern = constraint.args[0].source;
+				break;
+			case 'minLength':
+				schema.minLength = constraint.args[0];
+				break;
+			case 'maxLength':
+				schema.maxLength = constraint.args[0];
+				break;
+			case 'nonEmpty':
+				schema.minLength = Math.max(schema.minLength || 0, 1);
+				break;
+			case 'format':
+				Object.assign(schema, STRING_FORMATS[constraint.args[0]]);
+				break;
+		}
+	}
+	return schema;
+}
+
+function convertArray(items, constraints) {
+	const schema = { type: 'array', items: items };
+	for (const constraint of constraints) {
+		switch (constraint.name) {
+			case 'minItems':
+				schema.minItems = constraint.args[0];
+				break;
+			case 'maxItems':
+				schema.maxItems = constraint.args[0];
+				break;
+			case 'nonEmpty':
+				schema.minItems = Math.max(schema.minItems || 0, 1);
+				break;
+			case 'unique':
+				// items compared by key have no JSON Schema equivalent
+				if (constraint.args.length === 0) {
+					schema.uniqueItems = true;
+				}
+				break;
+		}
+	}
+	return schema;
+}
+
+function convertFields(fields, describeType, state) {
+	const properties = {};
+	const required = [];
+	for (const key of Object.keys(fields)) {
+		const checker = fields[key];
+		if (!checker) {
+			continue;
+		}
+		properties[key] = convertType(checker, describeType, state);
+
+		// checkers are required unless marked with `.isOptional`
+		const descriptor = describeType(checker);
+		if (descriptor && !descriptor.optional) {
+			required.push(key);
+		}
+	}
+
+	const schema = { type: 'object', properties: properties };
+	if (required.length > 0) {
+		schema.required = required;
+	}
+	return schema;
+}
+
+/**
+ * Converts a checker. `state` holds the checkers being converted, so that a
+ * `lazy` checker referring back to one of them becomes a `$ref` to a
+ * definition holding its schema.
+ */
+function convertType(checker, describeType, state) {
+	const descriptor = describeType(checker);
+	// custom checker functions can't be described, so accept anything
+	if (!descriptor) {
+		return {};
+	}
+
+	state.converting.push(checker);
+	let schema = convertKind(descriptor, describeType, state);
+	state.converting.pop();
+	if (state.definitionNames.has(checker)) {
+		const name = state.definitionNames.get(checker);
+		state.definitions[name] = schema;
+		schema = { $ref: '#/' + state.definitionsKeyword + '/' + name };
+	}
+	if (descriptor.nullable) {
+		schema = convertNullable(schema);
+	}
+	// defaults computed by a function are left out
+	if (has(descriptor, 'default') && typeof descriptor.default !== 'function') {
+		schema.default = descriptor.default;
+	}
+	return schema;
+}
+
+// Extends a schema to also accept `null`, as `.isNullable` checkers do.
+function convertNullable(schema) {
+	if (typeof schema.type === 'string') {
+		return Object.assign({}, schema, { type: [schema.type, 'null'] });
+	}
+	if (schema.enum) {
+		return schema.enum.indexOf(null) === -1 ? Object.assign({}, schema, { enum: schema.enum.concat(null) }) : schema;
+	}
+	// an empty schema already accepts null
+	if (Object.keys(schema).length === 0) {
+		return schema;
+	}
+	return { anyOf: [schema, { type: 'null' }] };
+}
+
+function convertKind(descriptor, describeType, state) {
+	switch (descriptor.kind) {
+		case 'array':
+		case 'boolean':
+		case 'object':
+			return { type: descriptor.kind };
+		case 'number':
+			return convertNumber(descriptor.constraints || []);
+		case 'string':
+			return convertString(descriptor.constraints || []);
+		case 'instanceOf':
+			// dates are serialized as ISO-8601 strings
+			if (descriptor.expectedClass === Date) {
+				return { type: 'string', format: 'date-time' };
+			}
+			return { type: 'object' };
+		case 'arrayOf':
+			return convertArray(convertType(descriptor.type, describeType, state), descriptor.constraints || []);
+		case 'tuple': {
+			const items = descriptor.types.map(type => convertType(type, describeType, state));
+			const rest = descriptor.rest ? convertType(descriptor.rest, describeType, state) : false;
+			// positional items moved from `items` to `prefixItems` in 2020-12
+			if (state.draft === 'draft-07') {
+				return { type: 'array', items: items, additionalItems: rest, minItems: items.length };
+			}
+			return { type: 'array', prefixItems: items, items: rest, minItems: items.length };
+		}
+		case 'objectOf':
+			return { type: 'object', additionalProperties: convertType(descriptor.type, describeType, state) };
+		// sets and other iterables are serialized as arrays, and string-keyed
+		// maps as objects
+		case 'setOf':
+			return { type: 'array', items: convertType(descriptor.type, describeType, state), uniqueItems: true };
+		case 'iterableOf':
+			return { type: 'array', items: convertType(descriptor.type, describeType, state) };
+		case 'mapOf': {
+			const keyDescriptor = describeType(descriptor.keyType);
+			if (keyDescriptor && keyDescriptor.kind === 'string') {
+				return { type: 'object', additionalProperties: convertType(descriptor.valueType, describeType, state) };
+			}
+			return {};
+		}
+		case 'oneOf':
+			return { enum: descriptor.values };
+		case 'oneOfType':
+			return { anyOf: descriptor.types.map(type => convertType(type, describeType, state)) };
+		case 'discriminatedUnion':
+			return {
+				anyOf: Object.keys(descriptor.types).map(tag => {
+					const schema = convertType(descriptor.types[tag], describeType, state);
+					if (schema.properties) {
+						schema.properties[descriptor.tag] = { const: tag };
+						schema.required = (schema.required || []).filter(key => key !== descriptor.tag).concat(descriptor.tag);
+					}
+					return schema;
+				}),
+			};
+		case 'shape':
+			return convertFields(descriptor.fields, describeType, state);
+		case 'exact':
+			return Object.assign(convertFields(descriptor.fields, describeType, state), { additionalProperties: false });
+		case 'lazy': {
+			const type = descriptor.resolve();
+			if (state.converting.indexOf(type) !== -1) {
+				if (!state.definitionNames.has(type)) {
+					state.definitionNames.set(type, 'type' + (state.definitionNames.size + 1));
+				}
+				return { $ref: '#/' + state.definitionsKeyword + '/' + state.definitionNames.get(type) };
+			}
+			return convertType(type, describeType, state);
+		}
+		// functions, symbols, custom checkers and maps with other keys have no
+		// JSON representation
+		default:
+			return {};
+	}
+}
+
+/**
+ * Converts a checker, or an object of checkers as given to checkPropTypes,
+ * into a JSON Schema document. Checkers are required unless marked with
+ * `.isOptional`, which is reflected in the `required` arrays, and
+ * `.isNullable` checkers also accept `null`.
+ *
+ * @param {function|object} typeSpec Checker or map of name to checker
+ * @param {function} describeType Returns the descriptor of a checker
+ * @param {object} options `draft` of the generated schema, either
+ * "draft-07" (default) or "2020-12".
+ * @return {object}
+ */
+function toJSONSchema(typeSpec, describeType, options = {}) {
+	const draft = options.draft || 'draft-07';
+	if (!has(SCHEMA_URIS, draft)) {
+		throw new Error('Invalid draft supplied to toJSONSchema, expected one of ' + JSON.stringify(Object.keys(SCHEMA_URIS)) + '.');
+	}
+
+	const state = {
+		converting: [],
+		definitions: {},
+		definitionNames: new Map(),
+		draft: draft,
+		definitionsKeyword: draft === 'draft-07' ? 'definitions' : '$defs',
+	};
+	let schema;
+	if (typeof typeSpec === 'function') {
+		schema = convertType(typeSpec, describeType, state);
+	} else if (typeSpec && typeof typeSpec === 'object') {
+		schema = convertFields(typeSpec, describeType, state);
+	} else {
+		throw new Error('Invalid argument supplied to toJSONSchema, expected a type checker or an object of type checkers.');
+	}
+	schema = Object.assign({ $schema: SCHEMA_URIS[draft] }, schema);
+	if (state.definitionNames.size > 0) {
+		schema[state.definitionsKeyword] = state.definitions;
+	}
+	return schema;
+}
+
+// Keywords that don't affect validation and are skipped by fromJSONSchema.
+const ANNOTATION_KEYWORDS = [
+	'$schema', '$id', '$comment', 'title', 'description', 'default', 'examples',
+	'deprecated', 'readOnly', 'writeOnly', 'definitions', '$defs',
+];
+
+function getFormatName(format) {
+	return Object.keys(STRING_FORMATS).find(name => STRING_FORMATS[name].format === format);
+}
+
+function isObjectValue(value) {
+	return value !== null && typeof value === 'object';
+}
+
+function unescapePointer(token) {
+	return token.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+/**
+ * Builds a checker from a JSON Schema document using the checker
+ * constructors of `PropTypes`. Keywords, formats and `$ref`s that have no
+ * equivalent checker are all reported in a single thrown error rather than
+ * ignored.
+ *
+ * @param {object} schema JSON Schema document
+ * @param {object} PropTypes Checkers to build with
+ * @return {function}
+ */
+function fromJSONSchema(schema, PropTypes) {
+	if (schema === null || typeof schema !== 'object') {
+		throw new Error('Invalid argument supplied to fromJSONSchema, expected a JSON Schema object.');
+	}
+
+	const unsupported = [];
+	const checkersByRef = {};
+	const resolvingRefs = [];
+
+	function resolveRef(ref, pointer) {
+		if (has(checkersByRef, ref)) {
+			return checkersByRef[ref];
+		}
+		if (ref !== '#' && ref.indexOf('#/') !== 0) {
+			unsupported.push('`' + pointer + '` (only local references are supported, got `' + ref + '`)');
+			return PropTypes.any;
+		}
+		// recursive references are resolved once their checker is built
+		if (resolvingRefs.indexOf(ref) !== -1) {
+			return PropTypes.lazy(() => checkersByRef[ref]);
+		}
+
+		let target = schema;
+		for (const token of ref.split('/').slice(1).map(unescapePointer)) {
+			target = target != null && typeof target === 'object' && has(target, token) ? target[token] : undefined;
+		}
+		if (target === undefined) {
+			unsupported.push('`' + pointer + '` (unresolvable reference `' + ref + '`)');
+			return PropTypes.any;
+		}
+
+		resolvingRefs.push(ref);
+		checkersByRef[ref] = build(target, ref);
+		resolvingRefs.pop();
+		return checkersByRef[ref];
+	}
+
+	function buildString(node, pointer, use) {
+		let checker = PropTypes.string;
+		if (use('minLength')) {
+			checker = checker.minLength(node.minLength);
+		}
+		if (use('maxLength')) {
+			checker = checker.maxLength(node.maxLength);
+		}
+		if (use('pattern')) {
+			checker = checker.matches(new RegExp(node.pattern));
+		}
+		if (use('format')) {
+			const format = getFormatName(node.format);
+			if (format) {
+				checker = checker.format(format);
+			} else {
+				unsupported.push('`' + pointer + '/format` (format `' + node.format + '`)');
+			}
+		}
+		return checker;
+	}
+
+	function buildNumber(node, pointer, use, isInteger) {
+		let checker = isInteger ? PropTypes.integer : PropTypes.number;
+		if (use('minimum')) {
+			checker = checker.min(node.minimum);
+		}
+		if (use('maximum')) {
+			checker = checker.max(node.maximum);
+		}
+		return checker;
+	}
+
+	// Tuples are `prefixItems` followed by the rest in `items` (2020-12), or
+	// `items` followed by `additionalItems` (draft-07).
+	function buildTuple(node, pointer, use, itemsKeyword, restKeyword) {
+		const items = node[itemsKeyword];
+		const types = items.map((item, i) => build(item, pointer + '/' + itemsKeyword + '/' + i));
+		const rest = use(restKeyword) ? node[restKeyword] : true;
+		// tuple checkers require every positional item
+		if (!use('minItems') || node.minItems !== items.length) {
+			unsupported.push('`' + pointer + '/' + itemsKeyword + '` (tuples must require all ' + items.length + ' items with `minItems`)');
+		}
+		if (rest === false) {
+			return PropTypes.tuple(types);
+		}
+		return PropTypes.tuple(types, { rest: build(rest, pointer + '/' + restKeyword) });
+	}
+
+	function buildArray(node, pointer, use) {
+		if (use('prefixItems')) {
+			return buildTuple(node, pointer, use, 'prefixItems', 'items');
+		}
+		if (use('items') && Array.isArray(node.items)) {
+			return buildTuple(node, pointer, use, 'items', 'additionalItems');
+		}
+		const hasItems = has(node, 'items');
+		const constraints = ['minItems', 'maxItems', 'uniqueItems'].filter(use);
+		if (!hasItems && constraints.length === 0) {
+			return PropTypes.array;
+		}
+		let checker = PropTypes.arrayOf(hasItems ? build(node.items, pointer + '/items') : PropTypes.any.isNullable);
+		if (has(node, 'minItems')) {
+			checker = checker.minItems(node.minItems);
+		}
+		if (has(node, 'maxItems')) {
+			checker = checker.maxItems(node.maxItems);
+		}
+		// items are compared by identity, which only matches JSON equality for
+		// primitives
+		if (node.uniqueItems === true) {
+			checker = checker.unique();
+		}
+		return checker;
+	}
+
+	function buildObject(node, pointer, use) {
+		const hasProperties = use('properties');
+		const required = use('required') ? node.required : [];
+		const additionalProperties = use('additionalProperties') ? node.additionalProperties : true;
+
+		if (!hasProperties && required.length === 0) {
+			if (additionalProperties === true) {
+				return PropTypes.object;
+			}
+			if (additionalProperties === false) {
+				return PropTypes.exact({});
+			}
+			return PropTypes.objectOf(build(additionalProperties, pointer + '/additionalProperties'));
+		}
+
+		const fields = {};
+		const properties = hasProperties ? node.properties : {};
+		for (const key of Object.keys(properties)) {
+			const property = properties[key];
+			const checker = build(property, pointer + '/properties/' + key);
+			if (required.indexOf(key) !== -1 || !checker.isOptional) {
+				fields[key] = checker;
+			} else if (property !== null && typeof property === 'object' && has(property, 'default')) {
+				fields[key] = checker.isOptional.default(property.default);
+			} else {
+				fields[key] = checker.isOptional;
+			}
+		}
+		for (const key of required) {
+			if (!has(fields, key)) {
+				fields[key] = PropTypes.any.isNullable;
+			}
+		}
+
+		if (additionalProperties === false) {
+			return PropTypes.exact(fields);
+		}
+		if (additionalProperties !== true) {
+			unsupported.push('`' + pointer + '/additionalProperties` (schemas alongside `properties`)');
+		}
+		return PropTypes.shape(fields);
+	}
+
+	// `.isNullable` checkers have no `isNullable` of their own
+	function nullable(checker) {
+		return checker.isNullable || checker;
+	}
+
+	function isNullSchema(node) {
+		return node !== null && typeof node === 'object' && node.type === 'null' && Object.keys(node).length === 1;
+	}
+
+	function buildUnion(branches, pointer) {
+		const checkers = branches.map((branch, i) => isNullSchema(branch) ? null : build(branch, pointer + '/' + i));
+		const types = checkers.filter(checker => checker !== null);
+		let checker;
+		if (types.length === 0) {
+			checker = PropTypes.oneOf([null]);
+		} else {
+			checker = types.length === 1 ? types[0] : PropTypes.oneOfType(types);
+		}
+		return types.length < checkers.length ? nullable(checker) : checker;
+	}
+
+	function buildType(type, node, pointer, use) {
+		switch (type) {
+			case 'string':
+				return buildString(node, pointer, use);
+			case 'number':
+			case 'integer':
+				return buildNumber(node, pointer, use, type === 'integer');
+			case 'boolean':
+				return PropTypes.bool;
+			case 'array':
+				return buildArray(node, pointer, use);
+			case 'object':
+				return buildObject(node, pointer, use);
+			default:
+				unsupported.push('`' + pointer + '/type` (type `' + type + '`)');
+				return PropTypes.any;
+		}
+	}
+
+	function build(node, pointer) {
+		if (node === true) {
+			return PropTypes.any.isNullable;
+		}
+		if (node === null || typeof node !== 'object') {
+			unsupported.push('`' + pointer + '` (schema `' + node + '`)');
+			return PropTypes.any;
+		}
+
+		const used = ANNOTATION_KEYWORDS.slice();
+		const use = keyword => {
+			used.push(keyword);
+			return has(node, keyword);
+		};
+
+		let checker;
+		if (use('$ref')) {
+			checker = resolveRef(node.$ref, pointer + '/$ref');
+		} else if (use('enum')) {
+			use('type');
+			// `oneOf` compares by identity, which never matches objects
+			if (node.enum.some(isObjectValue)) {
+				unsupported.push('`' + pointer + '/enum` (object or array values)');
+			}
+			checker = PropTypes.oneOf(node.enum);
+			if (node.enum.indexOf(null) !== -1) {
+				checker = nullable(checker);
+			}
+		} else if (use('const')) {
+			use('type');
+			if (isObjectValue(node.const)) {
+				unsupported.push('`' + pointer + '/const` (object or array value)');
+			}
+			checker = PropTypes.oneOf([node.const]);
+			if (node.const === null) {
+				checker = nullable(checker);
+			}
+		} else if (use('anyOf') || use('oneOf')) {
+			const keyword = has(node, 'anyOf') ? 'anyOf' : 'oneOf';
+			checker = buildUnion(node[keyword], pointer + '/' + keyword);
+		} else if (use('type')) {
+			const types = [].concat(node.type);
+			const checkers = types.filter(type => type !== 'null').map(type => buildType(type, node, pointer, use));
+			if (checkers.length === 0) {
+				checker = PropTypes.oneOf([null]);
+			} else {
+				checker = checkers.length === 1 ? checkers[0] : PropTypes.oneOfType(checkers);
+			}
+			if (checkers.length < types.length) {
+				checker = nullable(checker);
+			}
+		} else {
+			checker = PropTypes.any.isNullable;
+		}
+
+		for (const keyword of Object.keys(node)) {
+			if (used.indexOf(keyword) === -1) {
+				unsupported.push('`' + pointer + '/' + keyword + '`');
+			}
+		}
+		return checker;
+	}
+
+	// the document itself can be referenced as `#`
+	const checker = resolveRef('#', '#');
+	if (unsupported.length > 0) {
+		throw new Error('Unsupported JSON Schema keywords supplied to fromJSONSchema:\n  - ' + unsupported.join('\n  - '));
+	}
+	return checker;
+}
+
+module.exports = {
+	fromJSONSchema,
+	toJSONSchema,
+};
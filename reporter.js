@@ -0,0 +1,67 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const REPORTERS = ['throw', 'warn', 'collect'];
+
+/**
+ * Decides what happens to failed type checks and to warnings about
+ * malformed checker arguments, such as `oneOf('a', 'b')`.
+ *
+ * Failures are thrown by default. The `warn` reporter logs their message
+ * instead, `collect` appends them to `errors` and a function reporter is
+ * called with each of them. Warnings are always logged.
+ *
+ * @param {object} options
+ * @param {string|function} options.reporter "throw" (default), "warn",
+ * "collect", or a function called with each `PropTypeError`.
+ * @param {object} options.logger Object with an `error(message)` method used
+ * for logging, defaults to `console`.
+ * @return {object} `report(error)`, `warn(text)` and the collected `errors`.
+ */
+function createReporter(options = {}) {
+	const reporter = options.reporter || 'throw';
+	const logger = options.logger || console;
+	if (typeof reporter !== 'function' && REPORTERS.indexOf(reporter) === -1) {
+		throw new Error('Invalid reporter supplied to PropTypes, expected a function or one of ' + JSON.stringify(REPORTERS) + '.');
+	}
+	if (typeof logger.error !== 'function') {
+		throw new Error('Invalid logger supplied to PropTypes, expected an object with an `error` method.');
+	}
+
+	const errors = [];
+
+	function report(error) {
+		if (typeof reporter === 'function') {
+			reporter(error);
+			return;
+		}
+		switch (reporter) {
+			case 'warn':
+				logger.error(error.message);
+				break;
+			case 'collect':
+				errors.push(error);
+				break;
+			default:
+				throw error;
+		}
+	}
+
+	// warnings here are tentative and can be pushed to the logger instead
+	// of bubbling up
+	function warn(text) {
+		logger.error(`Warning: ${text}`);
+	}
+
+	return { report, warn, errors };
+}
+
+module.exports = {
+	createReporter,
+};
@@ -0,0 +1,204 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const { formatKey } = require('./utils');
+
+function formatLiteral(value) {
+	switch (typeof value) {
+		case 'string':
+			return "'" + value.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "'";
+		case 'number':
+		case 'boolean':
+			return String(value);
+		case 'undefined':
+			return 'undefined';
+		default:
+			return value === null ? 'null' : typeof value;
+	}
+}
+
+const FUNCTION_SIGNATURE = '(...args: any[]) => any';
+
+// Wraps union and function types so they can be suffixed with `[]`.
+function formatArrayItem(signature) {
+	return /[|&]|=>/.test(signature) ? '(' + signature + ')[]' : signature + '[]';
+}
+
+// Wraps function types so they can be members of a union, where the return
+// type would take in the other members otherwise.
+function formatUnionMember(signature) {
+	return signature === FUNCTION_SIGNATURE ? '(' + signature + ')' : signature;
+}
+
+/**
+ * Renders each field of an object type as `key: T`, or `key?: T` for optional
+ * ones. With `options.openShapes`, objects that accept unknown keys also get
+ * an index signature. `overrides` are required fields rendered with the given
+ * signature, added first when `fields` lacks them, such as the tag of a
+ * discriminated union branch.
+ */
+function stringifyFieldEntries(fields, describeType, options = {}, isOpen = false, overrides = {}) {
+	const keys = Object.keys(fields).filter(key => fields[key]);
+	const addedKeys = Object.keys(overrides).filter(key => keys.indexOf(key) === -1);
+	const entries = addedKeys.concat(keys).map(key => {
+		if (overrides[key]) {
+			return formatKey(key) + ': ' + overrides[key];
+		}
+		const descriptor = describeType(fields[key]);
+		const optional = descriptor && descriptor.optional;
+		return formatKey(key) + (optional ? '?' : '') + ': ' + stringifyType(fields[key], describeType, options, true);
+	});
+	if (isOpen && options.openShapes) {
+		entries.push('[key: string]: unknown');
+	}
+	return entries;
+}
+
+function stringifyFields(fields, describeType, options, isOpen, overrides) {
+	const entries = stringifyFieldEntries(fields, describeType, options, isOpen, overrides);
+	return entries.length > 0 ? '{ ' + entries.join(', ') + ' }' : '{}';
+}
+
+/**
+ * Renders a single checker. Nullable values are rendered as `T | null` and
+ * optional ones as `T | undefined`, except for object fields (`inField`) where
+ * they become `key?: T`.
+ *
+ * A `lazy` checker referring back to a checker that is being rendered is
+ * rendered as its name in `options.names` (a Map of checker to name), or as
+ * `any`.
+ */
+function stringifyType(checker, describeType, options, inField) {
+	const descriptor = describeType(checker);
+	// custom checker functions can't be described
+	if (!descriptor) {
+		return 'any';
+	}
+	const rendering = options.rendering || [];
+	options = Object.assign({}, options, { rendering: rendering.concat(checker) });
+
+	let signature;
+	switch (descriptor.kind) {
+		case 'string':
+		case 'number':
+		case 'boolean':
+		case 'symbol':
+		case 'object':
+		case 'any':
+			signature = descriptor.kind;
+			break;
+		case 'function':
+			signature = FUNCTION_SIGNATURE;
+			break;
+		case 'array':
+			signature = 'any[]';
+			break;
+		case 'node':
+			signature = 'any';
+			break;
+		case 'custom':
+			// the name is a label, not a type that declarations could refer to
+			signature = options.declarations ? 'unknown' : descriptor.name;
+			break;
+		case 'instanceOf':
+			signature = descriptor.expectedClass.name || 'object';
+			break;
+		case 'arrayOf':
+			signature = formatArrayItem(stringifyType(descriptor.type, describeType, options));
+			break;
+		case 'tuple': {
+			const items = descriptor.types.map(type => stringifyType(type, describeType, options));
+			if (descriptor.rest) {
+				items.push('...' + formatArrayItem(stringifyType(descriptor.rest, describeType, options)));
+			}
+			signature = '[' + items.join(', ') + ']';
+			break;
+		}
+		case 'objectOf':
+			signature = 'Record<string, ' + stringifyType(descriptor.type, describeType, options) + '>';
+			break;
+		case 'mapOf':
+			signature = 'Map<' + stringifyType(descriptor.keyType, describeType, options) + ', ' + stringifyType(descriptor.valueType, describeType, options) + '>';
+			break;
+		case 'setOf':
+			signature = 'Set<' + stringifyType(descriptor.type, describeType, options) + '>';
+			break;
+		case 'iterableOf':
+			signature = 'Iterable<' + stringifyType(descriptor.type, describeType, options) + '>';
+			break;
+		case 'oneOf':
+			signature = descriptor.values.length > 0 ? descriptor.values.map(formatLiteral).join(' | ') : 'never';
+			break;
+		case 'oneOfType':
+			signature = descriptor.types.length > 0 ? descriptor.types.map(type => formatUnionMember(stringifyType(type, describeType, options))).join(' | ') : 'never';
+			break;
+		case 'discriminatedUnion':
+			signature = Object.keys(descriptor.types).map(tag => {
+				const branch = describeType(descriptor.types[tag]);
+				if (branch && (branch.kind === 'shape' || branch.kind === 'exact')) {
+					return stringifyFields(branch.fields, describeType, options, branch.kind === 'shape', { [descriptor.tag]: formatLiteral(tag) });
+				}
+				return formatUnionMember(stringifyType(descriptor.types[tag], describeType, options));
+			}).join(' | ');
+			break;
+		case 'shape':
+		case 'exact':
+			signature = stringifyFields(descriptor.fields, describeType, options, descriptor.kind === 'shape');
+			break;
+		case 'lazy': {
+			const type = descriptor.resolve();
+			if (rendering.indexOf(type) !== -1) {
+				signature = options.names && options.names.get(type) || 'any';
+			} else {
+				signature = stringifyType(type, describeType, options, true);
+			}
+			break;
+		}
+		default:
+			signature = 'any';
+	}
+
+	if (descriptor.nullable || (descriptor.optional && !inField)) {
+		signature = formatUnionMember(signature);
+	}
+	if (descriptor.nullable) {
+		signature += ' | null';
+	}
+	if (descriptor.optional && !inField) {
+		return signature + ' | undefined';
+	}
+	return signature;
+}
+
+/**
+ * Renders a checker, or an object of checkers as given to checkPropTypes, as
+ * a TypeScript-like type signature, e.g. `{ id: number, tags?: string[] }`.
+ *
+ * @param {function|object} typeSpec Checker or map of name to checker
+ * @param {function} describeType Returns the descriptor of a checker
+ * @param {object} options `openShapes` adds an index signature to the object
+ * types of `shape`s, which accept unknown keys unlike `exact`.
+ * `declarations` renders `createChecker` checkers as `unknown` instead of
+ * their name, for output that has to compile.
+ * @return {string}
+ */
+function stringify(typeSpec, describeType, options = {}) {
+	if (typeof typeSpec === 'function') {
+		return stringifyType(typeSpec, describeType, options, false);
+	}
+	if (typeSpec && typeof typeSpec === 'object') {
+		return stringifyFields(typeSpec, describeType, options, true);
+	}
+	throw new Error('Invalid argument supplied to stringify, expected a type checker or an object of type checkers.');
+}
+
+module.exports = {
+	stringify,
+	stringifyFieldEntries,
+};
@@ -0,0 +1,45 @@
+/**
+ * Copyright (c) 2013-present, Facebook, Inc.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+'use strict';
+
+const has = Function.call.bind(Object.prototype.hasOwnProperty);
+
+function isPlainObject(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Object keys as they are written in source: bare when they are valid
+// identifiers, quoted otherwise.
+function formatKey(key) {
+	return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+// Guards the walks that follow `lazy` checkers into their resolved types.
+// A value reached again while it is still being walked contains itself, and
+// is returned as it is instead of being walked forever.
+function createLazyGuard() {
+	const values = [];
+	return function throughLazy(value, walk) {
+		if (values.indexOf(value) !== -1) {
+			return value;
+		}
+		values.push(value);
+		try {
+			return walk(value);
+		} finally {
+			values.pop();
+		}
+	};
+}
+
+module.exports = {
+	has,
+	isPlainObject,
+	formatKey,
+	createLazyGuard,
+};